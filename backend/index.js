@@ -11,6 +11,32 @@ const ordersRoutes = require("./routes/ordersRoutes");
 const watchlistRoutes = require("./routes/watchlistRoutes");
 const holdingsRoutes = require("./routes/holdingsRoutes");
 const positionsRoutes = require("./routes/positionsRoutes");
+const marketRoutes = require("./routes/marketRoutes");
+const eventsRoutes = require("./routes/eventsRoutes");
+const instrumentsRoutes = require("./routes/instrumentsRoutes");
+const gttRoutes = require("./routes/gttRoutes");
+const basketRoutes = require("./routes/basketRoutes");
+const fundsRoutes = require("./routes/fundsRoutes");
+const marginRoutes = require("./routes/marginRoutes");
+const chargesRoutes = require("./routes/chargesRoutes");
+
+// Import services
+const { startExecutionEngine } = require("./services/orderExecution");
+const { startMarketFeed } = require("./services/marketFeed");
+const { startMarkToMarket } = require("./services/markToMarket");
+const { attachStreaming, STREAM_PATH } = require("./services/streaming");
+const { startUserEvents } = require("./services/userEvents");
+const { startOrderAudit } = require("./services/orderAudit");
+const { startFunds } = require("./services/funds");
+const { startCandleBuilder } = require("./services/candles");
+const { initInstruments } = require("./services/instruments");
+const { startSessionScheduler } = require("./services/marketCalendar");
+const { startGttEngine } = require("./services/gtt");
+const { startBracketOrders } = require("./services/bracketOrders");
+const { startAlgoOrders } = require("./services/algoOrders");
+const { startAutoSquareOff } = require("./services/autoSquareOff");
+const { startEndOfDay } = require("./services/endOfDay");
+const { startSettlement } = require("./services/settlement");
 
 const PORT = process.env.PORT || 3002;
 const uri = process.env.MONGO_URL;
@@ -28,7 +54,45 @@ app.use(morgan("dev")); // Logs API requests
 
 // Connect to MongoDB
 mongoose.connect(uri)
-    .then(() => console.log("✅ MongoDB Connected!"))
+    .then(() => {
+        console.log("✅ MongoDB Connected!");
+        return initInstruments();
+    })
+    .then((count) => {
+        console.log(`📚 Instrument master loaded (${count} instruments)`);
+        startUserEvents();
+        startOrderAudit();
+        startFunds();
+        startSessionScheduler();
+        // Bracket and iceberg/TWAP handling must be listening before the engine
+        // re-matches old orders
+        return startBracketOrders()
+            .then(() => startAlgoOrders())
+            .then(startExecutionEngine);
+    })
+    .then(() => {
+        console.log("⚙️  Order execution engine started");
+        return startGttEngine();
+    })
+    .then((count) => {
+        console.log(`⏰ GTT engine started (${count} active GTTs)`);
+        startAutoSquareOff();
+        startEndOfDay();
+        startSettlement();
+
+        // MARKET_FEED=off leaves prices to be pushed in from elsewhere
+        if (process.env.MARKET_FEED !== "off") {
+            try {
+                const feed = startMarketFeed();
+                console.log(`📈 Market feed started (${feed.type})`);
+            } catch (err) {
+                console.error("❌ Market Feed Error:", err);
+                process.exit(1);
+            }
+        }
+        startMarkToMarket();
+        startCandleBuilder();
+    })
     .catch((err) => {
         console.error("❌ MongoDB Connection Error:", err);
         process.exit(1);
@@ -40,6 +104,14 @@ app.use("/orders", ordersRoutes);
 app.use("/watchlist", watchlistRoutes);
 app.use("/holdings", holdingsRoutes);
 app.use("/positions", positionsRoutes);
+app.use("/market", marketRoutes);
+app.use("/events", eventsRoutes);
+app.use("/instruments", instrumentsRoutes);
+app.use("/gtt", gttRoutes);
+app.use("/baskets", basketRoutes);
+app.use("/funds", fundsRoutes);
+app.use("/margins", marginRoutes);
+app.use("/charges", chargesRoutes);
 
 // Health Check Route
 app.get('/health', (req, res) => {
@@ -53,10 +125,14 @@ app.use((err, req, res, next) => {
 });
 
 // Start Server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
+    console.log(`📡 Streaming on ws://localhost:${PORT}${STREAM_PATH}`);
 });
 
+// WebSocket streaming shares the HTTP server
+attachStreaming(server);
+
 // Handle graceful shutdown
 process.on("SIGINT", async () => {
     await mongoose.connection.close();
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 
+// Login tokens carry the user's id as userId; everything downstream reads user.id
+const withUserId = (payload) => ({ ...payload, id: payload.id || payload.userId });
+
 const authenticateToken = (req, res, next) => {
     try {
         // Get token from header
@@ -28,7 +31,7 @@ const authenticateToken = (req, res, next) => {
                 });
             }
 
-            req.user = user;
+            req.user = withUserId(user);
             next();
         });
     } catch (error) {
@@ -40,4 +43,8 @@ const authenticateToken = (req, res, next) => {
     }
 };
 
-module.exports = { authenticateToken }; 
\ No newline at end of file
+// Verify a raw token outside of an HTTP request (e.g. WebSocket upgrades).
+// Throws the same TokenExpiredError / JsonWebTokenError as jwt.verify.
+const verifyToken = (token) => withUserId(jwt.verify(token, process.env.JWT_SECRET));
+
+module.exports = { authenticateToken, verifyToken }; 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { body } = require("express-validator");
+
+// Validation middleware for an order request (POST /orders/new and basket templates)
+const orderValidation = [
+    body("name").trim().notEmpty().withMessage("Stock name is required"),
+    body("qty").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("price")
+        .if(body("orderType").isIn(["LIMIT", "SL"]))
+        .isFloat({ min: 0.01 }).withMessage("Price must be greater than 0"),
+    body("triggerPrice")
+        .if(body("orderType").isIn(["SL", "SL-M"]))
+        .isFloat({ min: 0.01 }).withMessage("Trigger price must be greater than 0"),
+    body("triggerPrice")
+        .if(body("variety").equals("co"))
+        .isFloat({ min: 0.01 }).withMessage("Cover orders need a stop-loss trigger price"),
+    body("squareOff")
+        .if(body("variety").equals("bo"))
+        .isFloat({ gt: 0 }).withMessage("Bracket orders need a squareOff greater than 0"),
+    body("stopLoss")
+        .if(body("variety").equals("bo"))
+        .isFloat({ gt: 0 }).withMessage("Bracket orders need a stopLoss greater than 0"),
+    body("trailingStopLoss").optional().isFloat({ gt: 0 }).withMessage("Trailing stop-loss must be greater than 0"),
+    body("icebergQuantity")
+        .if(body("variety").equals("iceberg"))
+        .isInt({ min: 1 }).withMessage("Iceberg orders need an icebergQuantity of at least 1"),
+    body("twapDuration")
+        .if(body("variety").equals("twap"))
+        .isInt({ min: 1, max: 375 }).withMessage("TWAP orders need a twapDuration between 1 and 375 minutes"),
+    body("twapSlices")
+        .if(body("variety").equals("twap"))
+        .isInt({ min: 2, max: 100 }).withMessage("TWAP orders need between 2 and 100 twapSlices"),
+    body("mode").isIn(["BUY", "SELL"]).withMessage("Mode must be either BUY or SELL"),
+    body("orderType").isIn(["MARKET", "LIMIT", "SL", "SL-M"]).withMessage("Order type must be MARKET, LIMIT, SL or SL-M"),
+    body("validity").isIn(["DAY", "IOC"]).withMessage("Validity must be either DAY or IOC"),
+    body("product").optional().isIn(["CNC", "MIS", "NRML"]).withMessage("Product must be CNC, MIS or NRML"),
+    body("variety").optional().isIn(["regular", "amo", "bo", "co", "iceberg", "twap"])
+        .withMessage("Variety must be regular, amo, bo, co, iceberg or twap"),
+    body("exchange").optional().isIn(["NSE", "BSE"]).withMessage("Exchange must be either NSE or BSE")
+];
+
+module.exports = {
+    orderValidation
+};
@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { BasketSchema } = require("../schemas/BasketSchema");
+
+const BasketModel = mongoose.model("Basket", BasketSchema, "baskets");
+
+module.exports = { BasketModel };
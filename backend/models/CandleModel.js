@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { CandleSchema } = require("../schemas/CandleSchema");
+
+const CandleModel = mongoose.model("Candles", CandleSchema, "candles");
+
+module.exports = { CandleModel };
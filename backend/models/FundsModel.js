@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { FundsSchema } = require("../schemas/FundsSchema");
+
+const FundsModel = mongoose.model("Funds", FundsSchema, "funds");
+
+module.exports = { FundsModel };
@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { GttSchema } = require("../schemas/GttSchema");
+
+const GttModel = mongoose.model("GTT", GttSchema, "gtt");
+
+module.exports = { GttModel };
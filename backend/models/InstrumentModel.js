@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { InstrumentSchema } = require("../schemas/InstrumentSchema");
+
+const InstrumentModel = mongoose.model("Instruments", InstrumentSchema, "instruments");
+
+module.exports = { InstrumentModel };
@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { LedgerEntrySchema } = require("../schemas/LedgerEntrySchema");
+
+const LedgerEntryModel = mongoose.model("LedgerEntries", LedgerEntrySchema, "ledger_entries");
+
+module.exports = { LedgerEntryModel };
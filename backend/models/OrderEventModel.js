@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { OrderEventSchema } = require("../schemas/OrderEventSchema");
+
+const OrderEventModel = mongoose.model("OrderEvents", OrderEventSchema, "order_events");
+
+module.exports = { OrderEventModel };
@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { PositionHistorySchema } = require("../schemas/PositionHistorySchema");
+
+const PositionHistoryModel = mongoose.model("PositionHistory", PositionHistorySchema, "position_history");
+
+module.exports = { PositionHistoryModel };
@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { UserEventCounterSchema } = require("../schemas/UserEventCounterSchema");
+
+const UserEventCounterModel = mongoose.model("UserEventCounters", UserEventCounterSchema, "user_event_counters");
+
+module.exports = { UserEventCounterModel };
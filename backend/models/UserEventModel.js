@@ -0,0 +1,6 @@
+const mongoose = require("mongoose");
+const { UserEventSchema } = require("../schemas/UserEventSchema");
+
+const UserEventModel = mongoose.model("UserEvents", UserEventSchema, "user_events");
+
+module.exports = { UserEventModel };
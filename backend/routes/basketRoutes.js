@@ -0,0 +1,245 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { BasketModel } = require("../models/BasketModel");
+const { MAX_BASKET_ITEMS } = require("../schemas/BasketSchema");
+const { authenticateToken } = require("../middleware/auth");
+const { validateOrderTemplate } = require("../services/orderTemplates");
+const { previewBasket, placeBasket } = require("../services/baskets");
+
+const router = express.Router();
+
+// Validation middleware
+const basketValidation = [
+    body("name").trim().notEmpty().withMessage("Basket name is required"),
+    body("items").optional().isArray({ max: MAX_BASKET_ITEMS })
+        .withMessage(`items must be a list of at most ${MAX_BASKET_ITEMS} orders`)
+];
+
+// Every item must be a valid POST /orders/new body; returns errors keyed by item index
+const validateItems = async (items = []) => {
+    const itemErrors = [];
+    for (const [index, item] of items.entries()) {
+        const errors = await validateOrderTemplate(item);
+        if (errors.length > 0) itemErrors.push({ index, errors });
+    }
+    return itemErrors;
+};
+
+const toBasketJSON = (basket) => ({
+    id: basket._id,
+    name: basket.name,
+    items: basket.items,
+    itemCount: basket.items.length,
+    lastPlacedAt: basket.lastPlacedAt,
+    createdAt: basket.createdAt,
+    updatedAt: basket.updatedAt
+});
+
+const findBasket = (req) => BasketModel.findOne({
+    _id: req.params.basketId,
+    userId: req.user.id
+});
+
+const basketNotFound = (res) => res.status(404).json({
+    error: "Basket not found",
+    message: "The requested basket does not exist"
+});
+
+// ✅ Create Basket
+router.post("/", authenticateToken, basketValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, items = [] } = req.body;
+        const userId = req.user.id;
+
+        const itemErrors = await validateItems(items);
+        if (itemErrors.length > 0) {
+            return res.status(400).json({ error: "Invalid basket items", itemErrors });
+        }
+
+        const existingBasket = await BasketModel.findOne({ userId, name });
+        if (existingBasket) {
+            return res.status(400).json({
+                error: "Basket exists",
+                message: "A basket with this name already exists"
+            });
+        }
+
+        const basket = new BasketModel({ userId, name, items });
+        await basket.save();
+
+        res.status(201).json({
+            message: "Basket created successfully",
+            basket: toBasketJSON(basket)
+        });
+    } catch (error) {
+        console.error("Create Basket Error:", error);
+        res.status(500).json({
+            error: "Failed to create basket",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Get Baskets for a User
+router.get("/", authenticateToken, async (req, res) => {
+    try {
+        const baskets = await BasketModel.find({ userId: req.user.id }).sort({ updatedAt: -1 });
+
+        res.status(200).json({ baskets: baskets.map(toBasketJSON) });
+    } catch (error) {
+        console.error("Fetch Baskets Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch baskets",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Get Basket by ID
+router.get("/:basketId", authenticateToken, async (req, res) => {
+    try {
+        const basket = await findBasket(req);
+        if (!basket) return basketNotFound(res);
+
+        res.status(200).json(toBasketJSON(basket));
+    } catch (error) {
+        console.error("Fetch Basket Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch basket",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Update Basket (rename and/or replace its items)
+router.put("/:basketId", authenticateToken, basketValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const basket = await findBasket(req);
+        if (!basket) return basketNotFound(res);
+
+        const { name, items } = req.body;
+        const itemErrors = await validateItems(items);
+        if (itemErrors.length > 0) {
+            return res.status(400).json({ error: "Invalid basket items", itemErrors });
+        }
+
+        if (name !== basket.name) {
+            const existingBasket = await BasketModel.findOne({ userId: req.user.id, name });
+            if (existingBasket) {
+                return res.status(400).json({
+                    error: "Basket exists",
+                    message: "A basket with this name already exists"
+                });
+            }
+        }
+
+        basket.name = name;
+        if (items) basket.items = items;
+        await basket.save();
+
+        res.status(200).json({
+            message: "Basket updated successfully",
+            basket: toBasketJSON(basket)
+        });
+    } catch (error) {
+        console.error("Update Basket Error:", error);
+        res.status(500).json({
+            error: "Failed to update basket",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Delete Basket
+router.delete("/:basketId", authenticateToken, async (req, res) => {
+    try {
+        const basket = await BasketModel.findOneAndDelete({
+            _id: req.params.basketId,
+            userId: req.user.id
+        });
+        if (!basket) return basketNotFound(res);
+
+        res.status(200).json({ message: "Basket deleted successfully" });
+    } catch (error) {
+        console.error("Delete Basket Error:", error);
+        res.status(500).json({
+            error: "Failed to delete basket",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Preview combined margin and charges before placing
+router.get("/:basketId/margins", authenticateToken, async (req, res) => {
+    try {
+        const basket = await findBasket(req);
+        if (!basket) return basketNotFound(res);
+
+        const preview = await previewBasket(req.user.id, basket.items);
+
+        res.status(200).json({
+            id: basket._id,
+            name: basket.name,
+            ...preview
+        });
+    } catch (error) {
+        console.error("Basket Margin Error:", error);
+        res.status(500).json({
+            error: "Failed to calculate basket margin",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Place every order in the basket
+router.post("/:basketId/place", authenticateToken, [
+    body("allOrNothing").optional().isBoolean().withMessage("allOrNothing must be true or false")
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const basket = await findBasket(req);
+        if (!basket) return basketNotFound(res);
+
+        if (basket.items.length === 0) {
+            return res.status(400).json({
+                error: "Empty basket",
+                message: "Add orders to the basket before placing it"
+            });
+        }
+
+        const allOrNothing = req.body.allOrNothing === true || req.body.allOrNothing === "true";
+        const result = await placeBasket(req.user.id, basket.items, { allOrNothing });
+
+        basket.lastPlacedAt = new Date();
+        await basket.save();
+
+        res.status(200).json({
+            message: result.success ? "Basket placed successfully!" : "Basket placed with errors",
+            id: basket._id,
+            name: basket.name,
+            ...result
+        });
+    } catch (error) {
+        console.error("Place Basket Error:", error);
+        res.status(500).json({
+            error: "Failed to place basket",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+module.exports = router;
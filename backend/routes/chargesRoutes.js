@@ -0,0 +1,60 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const { validateOrderList } = require("../services/orderTemplates");
+const { getReferencePrice } = require("../services/margins");
+const { calculateCharges, getChargeRates } = require("../services/charges");
+
+const router = express.Router();
+
+const round = (value) => Number(value.toFixed(2));
+
+// ✅ Rates currently in force
+router.get("/rates", authenticateToken, (req, res) => {
+    const { version, effectiveFrom, rates } = getChargeRates();
+    res.status(200).json({ version, effectiveFrom, rates });
+});
+
+// ✅ Brokerage and statutory charges for one order, or for a list of orders
+router.post("/orders", authenticateToken, async (req, res) => {
+    try {
+        const { orders, error } = await validateOrderList(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+
+        const legs = orders.map((order) => {
+            const price = getReferencePrice(order);
+            return {
+                name: order.symbol,
+                exchange: order.exchange,
+                qty: order.quantity,
+                mode: order.transactionType,
+                product: order.product,
+                price,
+                // MARKET orders can't be priced without a quote
+                charges: price ? calculateCharges({ ...order, price }) : null
+            };
+        });
+
+        const priced = legs.filter((leg) => leg.charges);
+        const total = ["brokerage", "stt", "exchangeTransactionCharges", "sebiFees", "gst", "stampDuty", "total"]
+            .reduce((sum, field) => ({
+                ...sum,
+                [field]: round(priced.reduce((acc, leg) => acc + leg.charges[field], 0))
+            }), {});
+
+        res.status(200).json({
+            orders: legs,
+            total,
+            version: getChargeRates().version
+        });
+    } catch (error) {
+        console.error("Order Charges Error:", error);
+        res.status(500).json({
+            error: "Failed to calculate charges",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+module.exports = router;
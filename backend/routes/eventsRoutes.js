@@ -0,0 +1,37 @@
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { getEventsSince } = require("../services/userEvents");
+const { authenticateToken } = require("../middleware/auth");
+
+const router = express.Router();
+
+// ✅ Get the user's order/portfolio events after a sequence number
+router.get("/", authenticateToken, [
+    query("since").optional().isInt({ min: 0 }).withMessage("since must be a non-negative integer"),
+    query("limit").optional().isInt({ min: 1, max: 500 }).withMessage("limit must be between 1 and 500")
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const since = parseInt(req.query.since) || 0;
+        const limit = parseInt(req.query.limit) || 100;
+        const events = await getEventsSince(req.user.id, since, limit);
+
+        res.status(200).json({
+            events,
+            lastSeq: events.length > 0 ? events[events.length - 1].seq : since,
+            hasMore: events.length === limit
+        });
+    } catch (error) {
+        console.error("Fetch Events Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch events",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { authenticateToken } = require("../middleware/auth");
+const { LEDGER_ENTRY_TYPES } = require("../schemas/LedgerEntrySchema");
+const { getBalance, getStatement, payIn, payout } = require("../services/funds");
+
+const router = express.Router();
+
+// Validation middleware
+const amountValidation = [
+    body("amount").isFloat({ gt: 0 }).withMessage("Amount must be greater than 0").toFloat()
+];
+
+const statementValidation = [
+    query("from").optional().isISO8601().withMessage("from must be a valid date").toDate(),
+    query("to").optional().isISO8601().withMessage("to must be a valid date").toDate(),
+    query("type").optional().isIn(LEDGER_ENTRY_TYPES).withMessage("Invalid entry type"),
+    query("limit").optional().isInt({ min: 1, max: 1000 }).withMessage("limit must be between 1 and 1000").toInt()
+];
+
+// ✅ Get Balance and Margins
+router.get("/", authenticateToken, async (req, res) => {
+    try {
+        const balance = await getBalance(req.user.id);
+
+        res.status(200).json(balance);
+    } catch (error) {
+        console.error("Fetch Funds Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch funds",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Get Ledger Statement
+router.get("/statement", authenticateToken, statementValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { from, to, type, limit } = req.query;
+        const entries = await getStatement(req.user.id, { from, to, type, limit });
+
+        res.status(200).json({ entries });
+    } catch (error) {
+        console.error("Fetch Statement Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch statement",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Add Funds
+router.post("/payin", authenticateToken, amountValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { entry, balance } = await payIn(req.user.id, req.body.amount);
+
+        res.status(201).json({
+            message: "Funds added successfully",
+            entryId: entry._id,
+            funds: balance
+        });
+    } catch (error) {
+        console.error("Pay-in Error:", error);
+        res.status(500).json({
+            error: "Failed to add funds",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Withdraw Funds
+router.post("/payout", authenticateToken, amountValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { entry, balance, error } = await payout(req.user.id, req.body.amount);
+        if (error) {
+            return res.status(400).json(error);
+        }
+
+        res.status(201).json({
+            message: "Withdrawal recorded successfully",
+            entryId: entry._id,
+            funds: balance
+        });
+    } catch (error) {
+        console.error("Payout Error:", error);
+        res.status(500).json({
+            error: "Failed to withdraw funds",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+module.exports = router;
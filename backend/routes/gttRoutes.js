@@ -0,0 +1,218 @@
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { GttModel } = require("../models/GttModel");
+const { authenticateToken } = require("../middleware/auth");
+const { createGtt, modifyGtt, cancelGtt } = require("../services/gtt");
+
+const router = express.Router();
+
+// Validation middleware for the order legs and triggers
+const legValidation = [
+    body("triggerValues").isArray({ min: 1, max: 2 }).withMessage("triggerValues must hold one or two prices"),
+    body("triggerValues.*").isFloat({ gt: 0 }).withMessage("Trigger values must be greater than 0").toFloat(),
+    body("orders").isArray({ min: 1, max: 2 }).withMessage("orders must hold one or two orders"),
+    body("orders.*.transactionType").isIn(["BUY", "SELL"]).withMessage("Transaction type must be either BUY or SELL"),
+    body("orders.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1").toInt(),
+    body("orders.*.orderType").optional().isIn(["MARKET", "LIMIT"]).withMessage("Order type must be MARKET or LIMIT"),
+    body("orders.*.price").optional().isFloat({ gt: 0 }).withMessage("Price must be greater than 0").toFloat(),
+    body("orders.*.product").optional().isIn(["CNC", "MIS", "NRML"]).withMessage("Product must be CNC, MIS or NRML"),
+    body("expiresAt").optional().isISO8601().withMessage("expiresAt must be a valid date")
+];
+
+const gttValidation = [
+    body("symbol").trim().notEmpty().withMessage("Stock symbol is required"),
+    body("exchange").optional().isIn(["NSE", "BSE"]).withMessage("Exchange must be either NSE or BSE"),
+    body("type").isIn(["SINGLE", "OCO"]).withMessage("Type must be either SINGLE or OCO"),
+    ...legValidation
+];
+
+const toGttJSON = (gtt) => ({
+    id: gtt._id,
+    symbol: gtt.symbol,
+    exchange: gtt.exchange,
+    type: gtt.type,
+    status: gtt.status,
+    triggerValues: gtt.triggerValues,
+    lastPrice: gtt.lastPrice,
+    orders: gtt.orders,
+    expiresAt: gtt.expiresAt,
+    triggerHistory: gtt.triggerHistory,
+    createdAt: gtt.createdAt,
+    updatedAt: gtt.updatedAt
+});
+
+// ✅ Create a GTT
+router.post("/", authenticateToken, gttValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { gtt, error } = await createGtt(req.user.id, req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+
+        res.status(201).json({
+            message: "GTT created successfully!",
+            gtt: toGttJSON(gtt)
+        });
+    } catch (error) {
+        console.error("Create GTT Error:", error);
+        res.status(500).json({
+            error: "Failed to create GTT",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Get GTTs for a User
+router.get("/", authenticateToken, [
+    query("status").optional().isIn(["ACTIVE", "TRIGGERED", "CANCELLED", "EXPIRED", "REJECTED"])
+        .withMessage("Invalid GTT status")
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const filter = { userId: req.user.id };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.symbol) filter.symbol = req.query.symbol.toUpperCase();
+
+        const gtts = await GttModel.find(filter).sort({ createdAt: -1 });
+
+        res.status(200).json({ gtts: gtts.map(toGttJSON) });
+    } catch (error) {
+        console.error("Fetch GTTs Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch GTTs",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Get GTT by ID
+router.get("/:gttId", authenticateToken, async (req, res) => {
+    try {
+        const gtt = await GttModel.findOne({
+            _id: req.params.gttId,
+            userId: req.user.id
+        });
+
+        if (!gtt) {
+            return res.status(404).json({
+                error: "GTT not found",
+                message: "The requested GTT does not exist"
+            });
+        }
+
+        res.status(200).json(toGttJSON(gtt));
+    } catch (error) {
+        console.error("Fetch GTT Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch GTT",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Trigger history with the orders each trigger placed
+router.get("/:gttId/history", authenticateToken, async (req, res) => {
+    try {
+        const gtt = await GttModel.findOne({
+            _id: req.params.gttId,
+            userId: req.user.id
+        }).populate("triggerHistory.orderId", "status quantity filledQuantity averagePrice rejectionReason createdAt");
+
+        if (!gtt) {
+            return res.status(404).json({
+                error: "GTT not found",
+                message: "The requested GTT does not exist"
+            });
+        }
+
+        res.status(200).json({
+            id: gtt._id,
+            status: gtt.status,
+            history: gtt.triggerHistory.map((entry) => ({
+                triggeredAt: entry.triggeredAt,
+                triggerValue: entry.triggerValue,
+                lastPrice: entry.lastPrice,
+                leg: entry.leg,
+                orderStatus: entry.orderStatus,
+                rejectionReason: entry.rejectionReason,
+                order: entry.orderId
+            }))
+        });
+    } catch (error) {
+        console.error("Fetch GTT History Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch GTT history",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Modify GTT
+router.put("/:gttId", authenticateToken, legValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { triggerValues, orders, expiresAt } = req.body;
+        const result = await modifyGtt(req.params.gttId, req.user.id, { triggerValues, orders, expiresAt });
+
+        if (!result) {
+            return res.status(400).json({
+                error: "Invalid operation",
+                message: "Only active GTTs can be modified"
+            });
+        }
+        if (result.error) {
+            return res.status(400).json(result.error);
+        }
+
+        res.status(200).json({
+            message: "GTT modified successfully",
+            gtt: toGttJSON(result.gtt)
+        });
+    } catch (error) {
+        console.error("Modify GTT Error:", error);
+        res.status(500).json({
+            error: "Failed to modify GTT",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Cancel GTT
+router.delete("/:gttId", authenticateToken, async (req, res) => {
+    try {
+        const gtt = await cancelGtt(req.params.gttId, req.user.id);
+
+        if (!gtt) {
+            return res.status(400).json({
+                error: "Invalid operation",
+                message: "Only active GTTs can be cancelled"
+            });
+        }
+
+        res.status(200).json({
+            message: "GTT cancelled successfully",
+            gtt: toGttJSON(gtt)
+        });
+    } catch (error) {
+        console.error("Cancel GTT Error:", error);
+        res.status(500).json({
+            error: "Failed to cancel GTT",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+module.exports = router;
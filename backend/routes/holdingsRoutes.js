@@ -2,6 +2,8 @@ const express = require("express");
 const { body, validationResult } = require("express-validator");
 const { HoldingsModel } = require("../models/HoldingsModel");
 const { authenticateToken } = require("../middleware/auth");
+const { validateSymbol } = require("../services/instruments");
+const { holdingsMetrics } = require("../services/portfolioMetrics");
 
 const router = express.Router();
 
@@ -24,6 +26,14 @@ router.post("/add", authenticateToken, holdingValidation, async (req, res) => {
         const { name, qty, avg, price } = req.body;
         const userId = req.user.id;
 
+        const symbolError = validateSymbol(name);
+        if (symbolError) {
+            return res.status(400).json({
+                error: "Invalid symbol",
+                message: symbolError
+            });
+        }
+
         // Calculate net P&L
         const net = (price - avg) * qty;
         const day = ((price - avg) / avg) * 100;
@@ -79,21 +89,9 @@ router.get("/", authenticateToken, async (req, res) => {
             .select("-__v")
             .sort({ name: 1 });
 
-        // Calculate portfolio metrics
-        const totalInvestment = holdings.reduce((sum, h) => sum + (h.avg * h.qty), 0);
-        const currentValue = holdings.reduce((sum, h) => sum + (h.price * h.qty), 0);
-        const todaysPnL = holdings.reduce((sum, h) => sum + h.net, 0);
-        const totalPnL = currentValue - totalInvestment;
-
         res.status(200).json({
             holdings,
-            metrics: {
-                totalInvestment: totalInvestment.toFixed(2),
-                currentValue: currentValue.toFixed(2),
-                todaysPnL: todaysPnL.toFixed(2),
-                totalPnL: totalPnL.toFixed(2),
-                totalPnLPercentage: ((totalPnL / totalInvestment) * 100).toFixed(2)
-            }
+            metrics: holdingsMetrics(holdings)
         });
     } catch (error) {
         console.error("Fetch Holdings Error:", error);
@@ -0,0 +1,59 @@
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { findInstrument, searchInstruments } = require("../services/instruments");
+
+const router = express.Router();
+
+// ✅ Ranked fuzzy search over the instrument master
+router.get("/search", [
+    query("q").trim().notEmpty().withMessage("Search query is required"),
+    query("exchange").optional().isIn(["NSE", "BSE"]).withMessage("Exchange must be either NSE or BSE"),
+    query("type").optional().isIn(["EQ", "ETF", "INDEX"]).withMessage("Type must be EQ, ETF or INDEX"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100")
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { q, exchange, type } = req.query;
+        const instruments = searchInstruments(q, {
+            exchange,
+            instrumentType: type,
+            limit: parseInt(req.query.limit) || 20
+        });
+
+        res.status(200).json({ instruments });
+    } catch (error) {
+        console.error("Search Instruments Error:", error);
+        res.status(500).json({
+            error: "Failed to search instruments",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+// ✅ Get a single instrument
+router.get("/:exchange/:symbol", async (req, res) => {
+    try {
+        const instrument = findInstrument(req.params.symbol, req.params.exchange.toUpperCase());
+
+        if (!instrument) {
+            return res.status(404).json({
+                error: "Instrument not found",
+                message: "The requested instrument does not exist"
+            });
+        }
+
+        res.status(200).json(instrument);
+    } catch (error) {
+        console.error("Fetch Instrument Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch instrument",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const { validateOrderList } = require("../services/orderTemplates");
+const { getBalance, previewOrdersMargin } = require("../services/funds");
+
+const router = express.Router();
+
+// ✅ Margin required for one order, or for a list of orders taken together
+router.post("/orders", authenticateToken, async (req, res) => {
+    try {
+        const { orders, error } = await validateOrderList(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+
+        const { legs, total } = await previewOrdersMargin(req.user.id, orders);
+        const { availableMargin } = await getBalance(req.user.id);
+
+        res.status(200).json({
+            orders: legs.map((leg, index) => ({
+                name: orders[index].symbol,
+                exchange: orders[index].exchange,
+                qty: orders[index].quantity,
+                mode: orders[index].transactionType,
+                orderType: orders[index].orderType,
+                ...leg
+            })),
+            total,
+            availableMargin,
+            sufficient: total.margin <= availableMargin
+        });
+    } catch (error) {
+        console.error("Order Margin Error:", error);
+        res.status(500).json({
+            error: "Failed to calculate margin",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
+module.exports = router;
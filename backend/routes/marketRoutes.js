@@ -1,28 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const { getQuote, getAllQuotes } = require('../services/marketData');
+const { CANDLE_INTERVALS, getHistoricalCandles } = require('../services/candles');
+const { getMarketStatus, loadCalendar } = require('../services/marketCalendar');
+const indexConstituents = require('../config/indexConstituents.json');
+
+const INDEX_SYMBOLS = Object.keys(indexConstituents);
+
+// Parse ?symbols=INFY,TCS (or repeated ?symbols=) into a list of symbols
+const parseSymbols = (value) => {
+    const list = Array.isArray(value) ? value.join(',') : String(value || '');
+    return [...new Set(
+        list.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+    )];
+};
+
+// Quote without the order book, for compact responses
+const toQuote = ({ depth, ...quote }) => quote;
+
+// Market session status: /status?exchange=NSE
+router.get('/status', async (req, res) => {
+    try {
+        const exchange = (req.query.exchange || 'NSE').toUpperCase();
+        if (!['NSE', 'BSE'].includes(exchange)) {
+            return res.status(400).json({ error: 'Exchange must be either NSE or BSE' });
+        }
+
+        res.json(getMarketStatus(new Date(), exchange));
+    } catch (error) {
+        console.error('Market status error:', error);
+        res.status(500).json({ error: 'Failed to fetch market status' });
+    }
+});
+
+// Exchange holidays and special sessions: /holidays?year=2025&exchange=NSE
+router.get('/holidays', async (req, res) => {
+    try {
+        const exchange = (req.query.exchange || 'NSE').toUpperCase();
+        const year = req.query.year ? String(req.query.year) : null;
+        const { holidays, specialSessions } = loadCalendar();
+
+        const forExchange = (entry) => !entry.exchanges || entry.exchanges.includes(exchange);
+        const inYear = (entry) => !year || entry.date.startsWith(year);
+
+        res.json({
+            exchange,
+            holidays: holidays.filter(forExchange).filter(inYear),
+            specialSessions: specialSessions.filter(forExchange).filter(inYear)
+        });
+    } catch (error) {
+        console.error('Market holidays error:', error);
+        res.status(500).json({ error: 'Failed to fetch market holidays' });
+    }
+});
 
 // Fetch market indices data
 router.get('/indices', async (req, res) => {
     try {
-        // In a real application, you would fetch this data from NSE/BSE APIs
-        // For now, we'll return simulated real-time data
-        const currentTime = new Date();
-        const baseValue = Math.sin(currentTime.getMinutes() / 60 * Math.PI) * 100;
-        
+        const toIndex = (symbol) => {
+            const quote = getQuote(symbol);
+            return quote
+                ? { value: quote.ltp, change: (quote.changePercent || 0).toFixed(2) }
+                : null;
+        };
+
         const indices = {
-            nifty: {
-                value: 19250.75 + baseValue,
-                change: (baseValue / 19250.75 * 100).toFixed(2)
-            },
-            sensex: {
-                value: 64382.50 + (baseValue * 2),
-                change: (baseValue / 64382.50 * 100).toFixed(2)
-            },
-            bankNifty: {
-                value: 43750.25 + (baseValue * 1.5),
-                change: (baseValue / 43750.25 * 100).toFixed(2)
-            }
+            nifty: toIndex('NIFTY'),
+            sensex: toIndex('SENSEX'),
+            bankNifty: toIndex('BANKNIFTY')
         };
 
         res.json(indices);
@@ -36,22 +81,205 @@ router.get('/indices', async (req, res) => {
 router.get('/stock/:symbol', async (req, res) => {
     try {
         const { symbol } = req.params;
-        // In a real application, fetch actual stock data
-        // For now, return simulated data
-        const mockStockData = {
-            symbol,
-            price: Math.random() * 1000 + 100,
-            change: (Math.random() * 10 - 5).toFixed(2),
-            volume: Math.floor(Math.random() * 1000000),
-            high: Math.random() * 1000 + 200,
-            low: Math.random() * 1000
-        };
+        const quote = getQuote(symbol);
+
+        if (!quote) {
+            return res.status(404).json({ error: `No market data for ${symbol.toUpperCase()}` });
+        }
 
-        res.json(mockStockData);
+        res.json({
+            symbol: quote.symbol,
+            price: quote.ltp,
+            change: (quote.changePercent || 0).toFixed(2),
+            volume: quote.volume,
+            high: quote.high,
+            low: quote.low
+        });
     } catch (error) {
         console.error('Stock data error:', error);
         res.status(500).json({ error: 'Failed to fetch stock data' });
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Full quotes for several symbols in one call: /quote?symbols=INFY,TCS
+router.get('/quote', async (req, res) => {
+    try {
+        const symbols = parseSymbols(req.query.symbols);
+        if (symbols.length === 0) {
+            return res.status(400).json({ error: 'At least one symbol is required' });
+        }
+
+        const quotes = {};
+        const missing = [];
+        symbols.forEach((symbol) => {
+            const quote = getQuote(symbol);
+            if (quote) {
+                quotes[symbol] = toQuote(quote);
+            } else {
+                missing.push(symbol);
+            }
+        });
+
+        res.json({ quotes, missing: missing.length > 0 ? missing : undefined });
+    } catch (error) {
+        console.error('Quote error:', error);
+        res.status(500).json({ error: 'Failed to fetch quotes' });
+    }
+});
+
+// Last traded price only: /ltp?symbols=INFY,TCS
+router.get('/ltp', async (req, res) => {
+    try {
+        const symbols = parseSymbols(req.query.symbols);
+        if (symbols.length === 0) {
+            return res.status(400).json({ error: 'At least one symbol is required' });
+        }
+
+        const prices = {};
+        symbols.forEach((symbol) => {
+            const quote = getQuote(symbol);
+            if (quote) {
+                prices[symbol] = { ltp: quote.ltp, timestamp: quote.timestamp };
+            }
+        });
+
+        res.json({ prices });
+    } catch (error) {
+        console.error('LTP error:', error);
+        res.status(500).json({ error: 'Failed to fetch last traded prices' });
+    }
+});
+
+// Top 5 bids and asks for a symbol
+router.get('/depth/:symbol', async (req, res) => {
+    try {
+        const quote = getQuote(req.params.symbol);
+        if (!quote) {
+            return res.status(404).json({ error: `No market data for ${req.params.symbol.toUpperCase()}` });
+        }
+
+        // Feeds without a book still expose their best bid/ask as one level
+        const depth = quote.depth || {
+            buy: quote.bidPrice ? [{ price: quote.bidPrice, quantity: quote.bidQty || 0 }] : [],
+            sell: quote.askPrice ? [{ price: quote.askPrice, quantity: quote.askQty || 0 }] : []
+        };
+
+        res.json({
+            symbol: quote.symbol,
+            ltp: quote.ltp,
+            buy: depth.buy.slice(0, 5),
+            sell: depth.sell.slice(0, 5),
+            totalBuyQuantity: depth.buy.reduce((sum, level) => sum + level.quantity, 0),
+            totalSellQuantity: depth.sell.reduce((sum, level) => sum + level.quantity, 0),
+            timestamp: quote.timestamp
+        });
+    } catch (error) {
+        console.error('Market depth error:', error);
+        res.status(500).json({ error: 'Failed to fetch market depth' });
+    }
+});
+
+// Constituents of NIFTY, SENSEX or BANKNIFTY with their latest quotes
+router.get('/indices/:index/constituents', async (req, res) => {
+    try {
+        const index = req.params.index.toUpperCase();
+        const members = indexConstituents[index];
+
+        if (!members) {
+            return res.status(404).json({
+                error: `Unknown index ${index}`,
+                message: `Supported indices: ${INDEX_SYMBOLS.join(', ')}`
+            });
+        }
+
+        const indexQuote = getQuote(index);
+        res.json({
+            index,
+            value: indexQuote ? indexQuote.ltp : null,
+            constituents: members.map((symbol) => {
+                const quote = getQuote(symbol);
+                return quote ? toQuote(quote) : { symbol };
+            })
+        });
+    } catch (error) {
+        console.error('Index constituents error:', error);
+        res.status(500).json({ error: 'Failed to fetch index constituents' });
+    }
+});
+
+// Top gainers and losers, optionally within an index: /movers?index=NIFTY&limit=5
+router.get('/movers', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+        const index = req.query.index ? req.query.index.toUpperCase() : null;
+
+        if (index && !indexConstituents[index]) {
+            return res.status(404).json({ error: `Unknown index ${index}` });
+        }
+
+        const universe = index ? new Set(indexConstituents[index]) : null;
+        const quotes = getAllQuotes()
+            .filter(q => !INDEX_SYMBOLS.includes(q.symbol))
+            .filter(q => !universe || universe.has(q.symbol))
+            .filter(q => typeof q.changePercent === 'number')
+            .map(toQuote);
+
+        const sorted = quotes.sort((a, b) => b.changePercent - a.changePercent);
+
+        res.json({
+            gainers: sorted.filter(q => q.changePercent > 0).slice(0, limit),
+            losers: sorted.filter(q => q.changePercent < 0).reverse().slice(0, limit)
+        });
+    } catch (error) {
+        console.error('Market movers error:', error);
+        res.status(500).json({ error: 'Failed to fetch top gainers and losers' });
+    }
+});
+
+// OHLCV candles: /historical/INFY?interval=5m&from=2024-01-01&to=2024-01-31
+// continuous=true fills missing bars, adjusted=true back-adjusts for corporate actions
+router.get('/historical/:symbol', async (req, res) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const { interval = '1d', continuous, adjusted } = req.query;
+
+        if (!CANDLE_INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                error: 'Invalid interval',
+                message: `Interval must be one of ${CANDLE_INTERVALS.join(', ')}`
+            });
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getTime() - (interval === '1d' ? 365 : 7) * 24 * 60 * 60 * 1000);
+
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: 'from and to must be valid dates with from before to'
+            });
+        }
+
+        const candles = await getHistoricalCandles(symbol, interval, from, to, {
+            continuous: continuous === 'true',
+            adjusted: adjusted === 'true'
+        });
+
+        res.json({
+            symbol,
+            interval,
+            from,
+            to,
+            continuous: continuous === 'true',
+            adjusted: adjusted === 'true',
+            candles
+        });
+    } catch (error) {
+        console.error('Historical data error:', error);
+        res.status(500).json({ error: 'Failed to fetch historical data' });
+    }
+});
+
+module.exports = router;
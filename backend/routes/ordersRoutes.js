@@ -1,20 +1,19 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { validationResult } = require("express-validator");
 const { OrdersModel } = require("../models/OrdersModel");
 const { authenticateToken } = require("../middleware/auth");
+const { cancelOrder, modifyOrder } = require("../services/orderExecution");
+const { exitBracket } = require("../services/bracketOrders");
+const { cancelAlgoOrder } = require("../services/algoOrders");
+const { nextSessionOpen } = require("../services/marketCalendar");
+const { getOrderHistory } = require("../services/orderAudit");
+const { checkModifyFunds } = require("../services/funds");
+const { checkOrderParams, checkBracketParams, getRejectionReason, placeOrder } = require("../services/orderPlacement");
+const { orderValidation } = require("../middleware/orderValidation");
+const { toOrderParams } = require("../services/orderTemplates");
 
 const router = express.Router();
 
-// Validation middleware
-const orderValidation = [
-    body("name").trim().notEmpty().withMessage("Stock name is required"),
-    body("qty").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
-    body("price").isFloat({ min: 0.01 }).withMessage("Price must be greater than 0"),
-    body("mode").isIn(["BUY", "SELL"]).withMessage("Mode must be either BUY or SELL"),
-    body("orderType").isIn(["MARKET", "LIMIT"]).withMessage("Order type must be either MARKET or LIMIT"),
-    body("validity").isIn(["DAY", "IOC"]).withMessage("Validity must be either DAY or IOC")
-];
-
 // ✅ Place New Order
 router.post("/new", authenticateToken, orderValidation, async (req, res) => {
     try {
@@ -23,7 +22,7 @@ router.post("/new", authenticateToken, orderValidation, async (req, res) => {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { name, qty, price, mode, orderType, validity, triggerPrice } = req.body;
+        const { name, qty, price, mode, orderType } = req.body;
         const userId = req.user.id; // From auth middleware
 
         // Additional business logic validations
@@ -34,35 +33,37 @@ router.post("/new", authenticateToken, orderValidation, async (req, res) => {
             });
         }
 
-        const newOrder = new OrdersModel({
-            userId,
-            name,
-            qty,
-            price,
-            mode,
-            orderType,
-            validity,
-            triggerPrice,
-            status: "PENDING",
-            orderDate: new Date(),
-            lastModified: new Date()
-        });
-
-        await newOrder.save();
+        const { order, error } = await placeOrder({ userId, ...toOrderParams(req.body) });
+        if (error) {
+            return res.status(400).json(error);
+        }
 
-        // TODO: Integrate with order execution system
-        // await executeOrder(newOrder);
+        let message = "Order placed successfully!";
+        if (order.status === "REJECTED") {
+            message = "Order rejected";
+        } else if (order.status === "AMO_RECEIVED") {
+            message = "After-market order received and will be sent at the next market open";
+        }
 
         res.status(201).json({
-            message: "Order placed successfully!",
+            message,
             order: {
-                id: newOrder._id,
+                id: order._id,
                 name,
                 qty,
                 price,
                 mode,
                 orderType,
-                status: newOrder.status
+                variety: order.variety,
+                triggerPrice: order.triggerPrice,
+                status: order.status,
+                nextMarketOpen: order.status === "AMO_RECEIVED"
+                    ? nextSessionOpen(new Date(), order.exchange)
+                    : undefined,
+                filledQuantity: order.filledQuantity,
+                remainingQuantity: order.remainingQuantity,
+                averagePrice: order.averagePrice,
+                rejectionReason: order.rejectionReason
             }
         });
     } catch (error) {
@@ -84,20 +85,20 @@ router.get("/", authenticateToken, async (req, res) => {
 
         // Apply filters
         if (status) query.status = status.toUpperCase();
-        if (mode) query.mode = mode.toUpperCase();
+        if (mode) query.transactionType = mode.toUpperCase();
         if (date) {
             const startDate = new Date(date);
             startDate.setHours(0, 0, 0, 0);
             const endDate = new Date(date);
             endDate.setHours(23, 59, 59, 999);
-            query.orderDate = { $gte: startDate, $lte: endDate };
+            query.createdAt = { $gte: startDate, $lte: endDate };
         }
 
         const skip = (page - 1) * limit;
 
         const [orders, total] = await Promise.all([
             OrdersModel.find(query)
-                .sort({ orderDate: -1 })
+                .sort({ createdAt: -1 })
                 .skip(skip)
                 .limit(parseInt(limit))
                 .select("-__v"),
@@ -136,7 +137,12 @@ router.get("/:orderId", authenticateToken, async (req, res) => {
             });
         }
 
-        res.status(200).json(order);
+        // Bracket legs and iceberg/TWAP slices are listed under their parent
+        const children = await OrdersModel.find({ parentOrderId: order._id })
+            .sort({ createdAt: 1 })
+            .select("-__v");
+
+        res.status(200).json(children.length > 0 ? { ...order.toJSON(), children } : order);
     } catch (error) {
         console.error("Fetch Order Error:", error);
         res.status(500).json({
@@ -146,6 +152,39 @@ router.get("/:orderId", authenticateToken, async (req, res) => {
     }
 });
 
+// ✅ Order History (every status change, fill and modification, oldest first)
+router.get("/:orderId/history", authenticateToken, async (req, res) => {
+    try {
+        const order = await OrdersModel.findOne({
+            _id: req.params.orderId,
+            userId: req.user.id
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: "The requested order does not exist"
+            });
+        }
+
+        const events = await getOrderHistory(order._id);
+
+        res.status(200).json({
+            id: order._id,
+            name: order.symbol,
+            status: order.status,
+            rejectionReason: order.rejectionReason,
+            events
+        });
+    } catch (error) {
+        console.error("Fetch Order History Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch order history",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
 // ✅ Cancel Order
 router.post("/:orderId/cancel", authenticateToken, async (req, res) => {
     try {
@@ -161,23 +200,61 @@ router.post("/:orderId/cancel", authenticateToken, async (req, res) => {
             });
         }
 
-        if (!["PENDING", "OPEN"].includes(order.status)) {
+        if (!order.isModifiable()) {
             return res.status(400).json({
                 error: "Invalid operation",
                 message: `Cannot cancel order in ${order.status} status`
             });
         }
 
-        order.status = "CANCELLED";
-        order.lastModified = new Date();
-        await order.save();
+        // Iceberg/TWAP orders are cancelled as a unit, from the parent or any slice
+        if (["iceberg", "twap"].includes(order.variety)) {
+            const parent = await cancelAlgoOrder(order._id);
+
+            return res.status(200).json({
+                message: "Order cancelled successfully",
+                order: {
+                    id: parent._id,
+                    name: parent.symbol,
+                    status: parent.status,
+                    filledQuantity: parent.filledQuantity,
+                    averagePrice: parent.averagePrice
+                }
+            });
+        }
+
+        // Cancelling any part of a bracket/cover order exits the whole thing
+        if (order.isBracket()) {
+            const entry = await exitBracket(order._id, "Cancelled by user");
+            const legs = await OrdersModel.find({ parentOrderId: entry._id }).select("status");
+
+            return res.status(200).json({
+                message: "Order cancelled successfully",
+                order: {
+                    id: entry._id,
+                    name: entry.symbol,
+                    status: entry.status,
+                    filledQuantity: entry.filledQuantity,
+                    legs: legs.map((leg) => ({ id: leg._id, status: leg.status }))
+                }
+            });
+        }
+
+        const cancelled = await cancelOrder(order._id, "Cancelled by user", "USER");
+        if (!cancelled) {
+            return res.status(400).json({
+                error: "Invalid operation",
+                message: "Order was filled or closed before it could be cancelled"
+            });
+        }
 
         res.status(200).json({
             message: "Order cancelled successfully",
             order: {
-                id: order._id,
-                name: order.name,
-                status: order.status
+                id: cancelled._id,
+                name: cancelled.symbol,
+                status: cancelled.status,
+                filledQuantity: cancelled.filledQuantity
             }
         });
     } catch (error) {
@@ -189,6 +266,51 @@ router.post("/:orderId/cancel", authenticateToken, async (req, res) => {
     }
 });
 
+// ✅ Exit Bracket/Cover Order (cancel its legs and square off at market)
+router.post("/:orderId/exit", authenticateToken, async (req, res) => {
+    try {
+        const order = await OrdersModel.findOne({
+            _id: req.params.orderId,
+            userId: req.user.id
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: "The requested order does not exist"
+            });
+        }
+
+        if (!order.isBracket()) {
+            return res.status(400).json({
+                error: "Invalid operation",
+                message: "Only bracket and cover orders can be exited"
+            });
+        }
+
+        const entry = await exitBracket(order._id, "Exited by user");
+        const legs = await OrdersModel.find({ parentOrderId: entry._id })
+            .select("transactionType orderType quantity filledQuantity status tags");
+
+        res.status(200).json({
+            message: "Order exited successfully",
+            order: {
+                id: entry._id,
+                name: entry.symbol,
+                status: entry.status,
+                filledQuantity: entry.filledQuantity,
+                legs
+            }
+        });
+    } catch (error) {
+        console.error("Exit Order Error:", error);
+        res.status(500).json({
+            error: "Failed to exit order",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
 // ✅ Modify Order
 router.put("/:orderId", authenticateToken, orderValidation, async (req, res) => {
     try {
@@ -209,32 +331,105 @@ router.put("/:orderId", authenticateToken, orderValidation, async (req, res) =>
             });
         }
 
-        if (!["PENDING", "OPEN"].includes(order.status)) {
+        if (!order.isModifiable()) {
             return res.status(400).json({
                 error: "Invalid operation",
                 message: `Cannot modify order in ${order.status} status`
             });
         }
 
+        if (["iceberg", "twap"].includes(order.variety)) {
+            return res.status(400).json({
+                error: "Invalid operation",
+                message: "Iceberg and TWAP orders cannot be modified; cancel and place them again"
+            });
+        }
+
         const { qty, price, validity, triggerPrice } = req.body;
 
-        // Update allowed fields
-        order.qty = qty;
-        order.price = price;
-        order.validity = validity;
-        order.triggerPrice = triggerPrice;
-        order.lastModified = new Date();
+        const paramsError = checkOrderParams({
+            symbol: order.symbol,
+            exchange: order.exchange,
+            quantity: qty,
+            price: price !== undefined ? price : order.price,
+            triggerPrice: triggerPrice !== undefined ? triggerPrice : order.triggerPrice,
+            orderType: order.orderType,
+            transactionType: order.transactionType
+        });
+        if (paramsError) {
+            return res.status(400).json(paramsError);
+        }
+
+        // Bracket/cover entries keep to their own rules, e.g. which side of the
+        // entry a cover order's stop-loss trigger sits
+        if (order.isBracket() && !order.parentOrderId) {
+            const bracketError = checkBracketParams({
+                ...order.toObject(),
+                price: price !== undefined ? price : order.price,
+                triggerPrice: triggerPrice !== undefined ? triggerPrice : order.triggerPrice,
+                validity: validity || order.validity
+            });
+            if (bracketError) {
+                return res.status(400).json(bracketError);
+            }
+        }
+
+        if (qty <= order.filledQuantity) {
+            return res.status(400).json({
+                error: "Invalid quantity",
+                message: `Quantity must be more than the ${order.filledQuantity} already filled`
+            });
+        }
+
+        // The modified order has to pass the same session, risk and holdings
+        // checks as a new one
+        const rejectionReason = await getRejectionReason({
+            ...order.toObject(),
+            quantity: qty,
+            price: price !== undefined ? price : order.price,
+            triggerPrice: triggerPrice !== undefined ? triggerPrice : order.triggerPrice,
+            validity: validity || order.validity
+        });
+        if (rejectionReason) {
+            return res.status(400).json({
+                error: "Modification rejected",
+                message: rejectionReason
+            });
+        }
 
-        await order.save();
+        const fundsReason = await checkModifyFunds(order, { quantity: qty, price, triggerPrice });
+        if (fundsReason) {
+            return res.status(400).json({
+                error: "Insufficient funds",
+                message: fundsReason
+            });
+        }
+
+        const modified = await modifyOrder(order._id, {
+            quantity: qty,
+            price,
+            validity,
+            triggerPrice
+        }, "USER");
+        if (!modified) {
+            return res.status(400).json({
+                error: "Invalid operation",
+                message: "Order was filled or closed before it could be modified"
+            });
+        }
 
         res.status(200).json({
             message: "Order modified successfully",
             order: {
-                id: order._id,
-                name: order.name,
-                qty: order.qty,
-                price: order.price,
-                status: order.status
+                id: modified._id,
+                name: modified.symbol,
+                qty: modified.quantity,
+                price: modified.price,
+                triggerPrice: modified.triggerPrice,
+                validity: modified.validity,
+                status: modified.status,
+                filledQuantity: modified.filledQuantity,
+                remainingQuantity: modified.remainingQuantity
             }
         });
     } catch (error) {
@@ -1,7 +1,10 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const { PositionsModel } = require("../models/PositionsModel");
 const { authenticateToken } = require("../middleware/auth");
+const { convertPosition, convertHolding } = require("../services/positionConversion");
+const { squareOffTrip, archivePositionTrip, getPositionHistory } = require("../services/positionHistory");
+const { positionsMetrics } = require("../services/portfolioMetrics");
 
 const router = express.Router();
 
@@ -14,6 +17,26 @@ const positionValidation = [
     body("price").isFloat({ min: 0.01 }).withMessage("Current price must be greater than 0")
 ];
 
+const conversionValidation = [
+    body("toProduct").isIn(["CNC", "MIS", "NRML"]).withMessage("Invalid product type"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be a positive whole number").toInt()
+];
+
+const holdingConversionValidation = [
+    body("symbol").trim().notEmpty().withMessage("Symbol is required").toUpperCase(),
+    body("toProduct").isIn(["MIS", "NRML"]).withMessage("Holdings can only be converted to MIS or NRML"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("Quantity must be a positive whole number").toInt()
+];
+
+const historyValidation = [
+    query("from").optional().isISO8601().withMessage("from must be a valid date").toDate(),
+    query("to").optional().isISO8601().withMessage("to must be a valid date").toDate(),
+    query("symbol").optional().trim().toUpperCase(),
+    query("product").optional().isIn(["CNC", "MIS", "NRML"]).withMessage("Invalid product type"),
+    query("limit").optional().isInt({ min: 1, max: 500 }).withMessage("limit must be between 1 and 500").toInt(),
+    query("page").optional().isInt({ min: 1 }).withMessage("page must be a positive whole number").toInt()
+];
+
 // ✅ Get all positions for a user
 router.get("/", authenticateToken, async (req, res) => {
     try {
@@ -22,21 +45,9 @@ router.get("/", authenticateToken, async (req, res) => {
             .select("-__v")
             .sort({ name: 1 });
 
-        // Calculate day's metrics
-        const totalInvestment = positions.reduce((sum, p) => sum + (p.avg * Math.abs(p.qty)), 0);
-        const currentValue = positions.reduce((sum, p) => sum + (p.price * Math.abs(p.qty)), 0);
-        const dayPnL = positions.reduce((sum, p) => sum + p.net, 0);
-        const totalPnL = currentValue - totalInvestment;
-
         res.json({
             positions,
-            metrics: {
-                totalInvestment: totalInvestment.toFixed(2),
-                currentValue: currentValue.toFixed(2),
-                dayPnL: dayPnL.toFixed(2),
-                totalPnL: totalPnL.toFixed(2),
-                totalPnLPercentage: ((totalPnL / totalInvestment) * 100).toFixed(2)
-            }
+            metrics: positionsMetrics(positions)
         });
     } catch (error) {
         console.error("Fetch Positions Error:", error);
@@ -65,25 +76,9 @@ router.get("/product/:type", authenticateToken, async (req, res) => {
             product: type.toUpperCase()
         }).select("-__v");
 
-        const metrics = positions.reduce((acc, pos) => {
-            acc.totalInvestment += pos.avg * Math.abs(pos.qty);
-            acc.currentValue += pos.price * Math.abs(pos.qty);
-            acc.dayPnL += pos.net;
-            return acc;
-        }, { totalInvestment: 0, currentValue: 0, dayPnL: 0 });
-
-        metrics.totalPnL = metrics.currentValue - metrics.totalInvestment;
-        metrics.totalPnLPercentage = (metrics.totalPnL / metrics.totalInvestment) * 100;
-
         res.json({
             positions,
-            metrics: {
-                totalInvestment: metrics.totalInvestment.toFixed(2),
-                currentValue: metrics.currentValue.toFixed(2),
-                dayPnL: metrics.dayPnL.toFixed(2),
-                totalPnL: metrics.totalPnL.toFixed(2),
-                totalPnLPercentage: metrics.totalPnLPercentage.toFixed(2)
-            }
+            metrics: positionsMetrics(positions)
         });
     } catch (error) {
         console.error("Fetch Positions by Product Error:", error);
@@ -94,6 +89,27 @@ router.get("/product/:type", authenticateToken, async (req, res) => {
     }
 });
 
+// ✅ Get closed position history with day-wise and symbol-wise summaries
+router.get("/history", authenticateToken, historyValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { from, to, symbol, product, limit, page } = req.query;
+        const history = await getPositionHistory(req.user.id, { from, to, symbol, product, limit, page });
+
+        res.status(200).json(history);
+    } catch (error) {
+        console.error("Fetch Position History Error:", error);
+        res.status(500).json({
+            error: "Failed to fetch position history",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
 // ✅ Get single position
 router.get("/:positionId", authenticateToken, async (req, res) => {
     try {
@@ -187,6 +203,42 @@ router.post("/add", authenticateToken, positionValidation, async (req, res) => {
     }
 });
 
+// ✅ Convert today's delivery buy in holdings to an intraday or carry-forward position
+router.put("/convert-holding", authenticateToken, holdingConversionValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { symbol, quantity, toProduct } = req.body;
+        const result = await convertHolding(req.user.id, { symbol, quantity, toProduct });
+
+        if (!result) {
+            return res.status(404).json({
+                error: "Holding not found",
+                message: `You do not hold ${symbol}`
+            });
+        }
+
+        if (result.error) {
+            return res.status(400).json(result.error);
+        }
+
+        res.status(200).json({
+            message: `${symbol} converted from CNC to ${result.to.product}`,
+            holding: result.holding,
+            to: result.to
+        });
+    } catch (error) {
+        console.error("Convert Holding Error:", error);
+        res.status(500).json({
+            error: "Failed to convert holding",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
 // ✅ Update position
 router.put("/:positionId", authenticateToken, positionValidation, async (req, res) => {
     try {
@@ -243,6 +295,43 @@ router.put("/:positionId", authenticateToken, positionValidation, async (req, re
     }
 });
 
+// ✅ Convert position to another product
+router.put("/:positionId/convert", authenticateToken, conversionValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { toProduct, quantity } = req.body;
+        const result = await convertPosition(req.user.id, req.params.positionId, { toProduct, quantity });
+
+        if (!result) {
+            return res.status(404).json({
+                error: "Position not found",
+                message: "The requested position does not exist"
+            });
+        }
+
+        if (result.error) {
+            return res.status(400).json(result.error);
+        }
+
+        res.status(200).json({
+            message: `Position converted from ${result.from.product} to ${result.to.product}`,
+            from: result.from,
+            to: result.to,
+            holding: result.holding
+        });
+    } catch (error) {
+        console.error("Convert Position Error:", error);
+        res.status(500).json({
+            error: "Failed to convert position",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
 // ✅ Delete a position
 router.delete("/:positionId", authenticateToken, async (req, res) => {
     try {
@@ -292,24 +381,27 @@ router.post("/:positionId/square-off", authenticateToken, async (req, res) => {
             });
         }
 
-        // Calculate final P&L
-        const finalPnL = position.net;
-        const pnlPercentage = position.day;
-
-        // Archive the position or move to a separate collection if needed
-        // await PositionHistoryModel.create({ ...position.toObject(), squaredOff: new Date() });
+        // Archive what is still open, valued at the last traded price
+        const trip = squareOffTrip(position);
+        if (trip) await archivePositionTrip(trip);
 
         await position.deleteOne();
 
+        // Calculate final P&L
+        const finalPnL = trip ? trip.realizedProfitLoss : 0;
+        const invested = trip ? trip.entryAveragePrice * trip.quantity : 0;
+        const pnlPercentage = invested > 0 ? (finalPnL / invested) * 100 : 0;
+
         res.status(200).json({
             message: "Position squared off successfully",
             position: {
                 id: position._id,
-                name: position.name,
+                name: position.symbol,
                 product: position.product,
                 finalPnL: finalPnL.toFixed(2),
                 pnlPercentage: pnlPercentage.toFixed(2)
-            }
+            },
+            history: trip
         });
     } catch (error) {
         console.error("Square Off Position Error:", error);
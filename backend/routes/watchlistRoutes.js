@@ -2,6 +2,8 @@ const express = require("express");
 const { body, validationResult } = require("express-validator");
 const { WatchlistModel } = require("../models/WatchlistModel");
 const { authenticateToken } = require("../middleware/auth");
+const { findInstrument, validateSymbol, searchInstruments } = require("../services/instruments");
+const { getQuote } = require("../services/marketData");
 
 const router = express.Router();
 
@@ -12,54 +14,23 @@ const stockValidation = [
     body("exchange").isIn(["NSE", "BSE"]).withMessage("Exchange must be either NSE or BSE")
 ];
 
-// Default stocks data
-const defaultStocks = [
-    {
-        symbol: "INFY",
-        exchange: "NSE",
-        lastPrice: 1555.45,
-        change: {
-            value: -25.35,
-            percentage: -1.60
-        }
-    },
-    {
-        symbol: "TCS",
-        exchange: "NSE",
-        lastPrice: 3194.80,
-        change: {
-            value: -8.05,
-            percentage: -0.25
-        }
-    },
-    {
-        symbol: "WIPRO",
-        exchange: "NSE",
-        lastPrice: 577.75,
-        change: {
-            value: 1.85,
-            percentage: 0.32
-        }
-    },
-    {
-        symbol: "RELIANCE",
-        exchange: "NSE",
-        lastPrice: 2112.40,
-        change: {
-            value: 30.05,
-            percentage: 1.44
-        }
-    },
-    {
-        symbol: "HDFCBANK",
-        exchange: "NSE",
-        lastPrice: 1522.35,
-        change: {
-            value: 1.65,
-            percentage: 0.11
-        }
-    }
-];
+// Symbols every new user starts with; details come from the instrument master
+const defaultSymbols = ["INFY", "TCS", "WIPRO", "RELIANCE", "HDFCBANK"];
+
+const buildDefaultItems = () => defaultSymbols
+    .filter(symbol => findInstrument(symbol, "NSE"))
+    .map(symbol => {
+        const quote = getQuote(symbol);
+        return {
+            symbol,
+            exchange: "NSE",
+            lastPrice: quote ? quote.ltp : undefined,
+            change: {
+                value: quote ? quote.change || 0 : 0,
+                percentage: quote ? quote.changePercent || 0 : 0
+            }
+        };
+    });
 
 // ✅ Get User's Watchlists
 router.get("/", authenticateToken, async (req, res) => {
@@ -87,6 +58,48 @@ router.get("/", authenticateToken, async (req, res) => {
     }
 });
 
+// ✅ Search Stocks
+router.get("/search", authenticateToken, async (req, res) => {
+    try {
+        const { q } = req.query;
+        
+        if (!q) {
+            return res.status(400).json({
+                error: "Missing query",
+                message: "Search query is required"
+            });
+        }
+
+        const { exchange, limit } = req.query;
+        const filteredStocks = searchInstruments(q, {
+            exchange: exchange ? exchange.toUpperCase() : undefined,
+            limit: Math.min(parseInt(limit) || 20, 100)
+        }).map(instrument => {
+            const quote = getQuote(instrument.tradingsymbol);
+            return {
+                id: `${instrument.exchange}:${instrument.tradingsymbol}`,
+                name: instrument.name,
+                symbol: instrument.tradingsymbol,
+                exchange: instrument.exchange,
+                isin: instrument.isin,
+                instrumentType: instrument.instrumentType,
+                price: quote ? quote.ltp : null,
+                score: instrument.score
+            };
+        });
+
+        res.status(200).json({
+            stocks: filteredStocks
+        });
+    } catch (error) {
+        console.error("Search Stocks Error:", error);
+        res.status(500).json({
+            error: "Failed to search stocks",
+            message: "An unexpected error occurred. Please try again later."
+        });
+    }
+});
+
 // ✅ Get Single Watchlist
 router.get("/:watchlistId", authenticateToken, async (req, res) => {
     try {
@@ -173,6 +186,14 @@ router.post("/:watchlistId/add", authenticateToken, stockValidation, async (req,
         const stock = { name, symbol, exchange };
         const userId = req.user.id;
 
+        const symbolError = validateSymbol(symbol, exchange, { tradable: false });
+        if (symbolError) {
+            return res.status(400).json({
+                error: "Invalid symbol",
+                message: symbolError
+            });
+        }
+
         let watchlist = await WatchlistModel.findOne({
             _id: req.params.watchlistId,
             userId
@@ -219,45 +240,6 @@ router.post("/:watchlistId/add", authenticateToken, stockValidation, async (req,
     }
 });
 
-// ✅ Search Stocks
-router.get("/search", authenticateToken, async (req, res) => {
-    try {
-        const { q } = req.query;
-        
-        if (!q) {
-            return res.status(400).json({
-                error: "Missing query",
-                message: "Search query is required"
-            });
-        }
-
-        // Mock data for demonstration - replace with actual API call
-        const mockStocks = [
-            { id: "INFY", name: "Infosys Ltd", symbol: "INFY", exchange: "NSE", price: 1450.75 },
-            { id: "TCS", name: "Tata Consultancy Services", symbol: "TCS", exchange: "NSE", price: 3250.80 },
-            { id: "WIPRO", name: "Wipro Ltd", symbol: "WIPRO", exchange: "NSE", price: 450.25 },
-            { id: "HCLTECH", name: "HCL Technologies", symbol: "HCLTECH", exchange: "NSE", price: 1150.90 },
-            { id: "TECHM", name: "Tech Mahindra", symbol: "TECHM", exchange: "NSE", price: 1200.45 }
-        ];
-
-        // Filter stocks based on search query
-        const filteredStocks = mockStocks.filter(stock => 
-            stock.name.toLowerCase().includes(q.toLowerCase()) ||
-            stock.symbol.toLowerCase().includes(q.toLowerCase())
-        );
-
-        res.status(200).json({
-            stocks: filteredStocks
-        });
-    } catch (error) {
-        console.error("Search Stocks Error:", error);
-        res.status(500).json({
-            error: "Failed to search stocks",
-            message: "An unexpected error occurred. Please try again later."
-        });
-    }
-});
-
 // ✅ Remove Stock from Watchlist
 router.delete("/:watchlistId/remove/:symbol", authenticateToken, async (req, res) => {
     try {
@@ -503,6 +485,14 @@ router.post("/default/add", authenticateToken, stockValidation, async (req, res)
         const userId = req.user.id;
         const { stock } = req.body;
 
+        const symbolError = validateSymbol(stock && stock.symbol, stock && stock.exchange, { tradable: false });
+        if (symbolError) {
+            return res.status(400).json({
+                error: "Invalid symbol",
+                message: symbolError
+            });
+        }
+
         let watchlist = await WatchlistModel.findOne({ 
             userId,
             name: "Default"
@@ -634,7 +624,7 @@ router.post("/initialize", authenticateToken, async (req, res) => {
             name: "Default Watchlist",
             description: "Your default watchlist",
             isDefault: true,
-            items: defaultStocks,
+            items: buildDefaultItems(),
             color: "#1E88E5",
             icon: "star"
         });
@@ -0,0 +1,88 @@
+const { Schema } = require("mongoose");
+
+const MAX_BASKET_ITEMS = 50;
+
+// An order template, in the same shape POST /orders/new accepts
+const BasketItemSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, "Stock name is required"],
+        uppercase: true,
+        trim: true
+    },
+    qty: {
+        type: Number,
+        required: [true, "Quantity is required"],
+        min: [1, "Quantity must be at least 1"]
+    },
+    mode: {
+        type: String,
+        required: [true, "Mode is required"],
+        enum: ["BUY", "SELL"]
+    },
+    orderType: {
+        type: String,
+        enum: ["MARKET", "LIMIT", "SL", "SL-M"],
+        default: "MARKET"
+    },
+    validity: {
+        type: String,
+        enum: ["DAY", "IOC"],
+        default: "DAY"
+    },
+    price: Number,
+    triggerPrice: Number,
+    // Left empty to take the order's default (CNC, or MIS for bracket/cover orders)
+    product: {
+        type: String,
+        enum: ["CNC", "MIS", "NRML"]
+    },
+    exchange: {
+        type: String,
+        enum: ["NSE", "BSE"],
+        default: "NSE"
+    },
+    variety: {
+        type: String,
+        enum: ["regular", "amo", "bo", "co", "iceberg", "twap"],
+        default: "regular"
+    },
+    squareOff: Number,
+    stopLoss: Number,
+    trailingStopLoss: Number,
+    icebergQuantity: Number,
+    twapDuration: Number,
+    twapSlices: Number
+});
+
+const BasketSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, "Basket name is required"],
+        trim: true,
+        maxlength: [50, "Basket name cannot be more than 50 characters"]
+    },
+    items: {
+        type: [BasketItemSchema],
+        validate: {
+            validator: (items) => items.length <= MAX_BASKET_ITEMS,
+            message: `A basket can hold at most ${MAX_BASKET_ITEMS} orders`
+        }
+    },
+    lastPlacedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+BasketSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = { BasketSchema, MAX_BASKET_ITEMS };
@@ -0,0 +1,53 @@
+const { Schema } = require("mongoose");
+
+const CANDLE_INTERVALS = ["1m", "5m", "15m", "1h", "1d"];
+
+const CandleSchema = new Schema({
+    symbol: {
+        type: String,
+        required: [true, "Stock symbol is required"],
+        uppercase: true,
+        trim: true
+    },
+    interval: {
+        type: String,
+        required: [true, "Interval is required"],
+        enum: CANDLE_INTERVALS
+    },
+    timestamp: {
+        type: Date,
+        required: [true, "Candle start time is required"]
+    },
+    open: {
+        type: Number,
+        required: [true, "Open price is required"],
+        min: [0, "Open price cannot be negative"]
+    },
+    high: {
+        type: Number,
+        required: [true, "High price is required"],
+        min: [0, "High price cannot be negative"]
+    },
+    low: {
+        type: Number,
+        required: [true, "Low price is required"],
+        min: [0, "Low price cannot be negative"]
+    },
+    close: {
+        type: Number,
+        required: [true, "Close price is required"],
+        min: [0, "Close price cannot be negative"]
+    },
+    volume: {
+        type: Number,
+        default: 0,
+        min: [0, "Volume cannot be negative"]
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+CandleSchema.index({ symbol: 1, interval: 1, timestamp: 1 }, { unique: true });
+
+module.exports = { CandleSchema, CANDLE_INTERVALS };
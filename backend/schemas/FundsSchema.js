@@ -0,0 +1,35 @@
+const { Schema } = require("mongoose");
+
+// A user's trading account: cash on the ledger and margin held against open orders
+const FundsSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"]
+    },
+    openingBalance: {
+        type: Number,
+        default: 0,
+        min: [0, "Opening balance cannot be negative"]
+    },
+    // Running ledger balance: opening balance, pay-ins, payouts, P&L and charges
+    balance: {
+        type: Number,
+        default: 0
+    },
+    // Sum of the margin blocked on the user's open orders
+    blockedMargin: {
+        type: Number,
+        default: 0,
+        min: [0, "Blocked margin cannot be negative"]
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+FundsSchema.index({ userId: 1 }, { unique: true });
+
+module.exports = { FundsSchema };
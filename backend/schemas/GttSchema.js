@@ -0,0 +1,157 @@
+const { Schema } = require("mongoose");
+
+// GTTs stay active for at most a year
+const MAX_GTT_VALIDITY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order placed when the GTT's trigger for this leg is hit
+const GttLegSchema = new Schema({
+    transactionType: {
+        type: String,
+        required: [true, "Transaction type is required"],
+        enum: ["BUY", "SELL"]
+    },
+    orderType: {
+        type: String,
+        enum: ["MARKET", "LIMIT"],
+        default: "LIMIT"
+    },
+    product: {
+        type: String,
+        enum: ["CNC", "MIS", "NRML"],
+        default: "CNC"
+    },
+    quantity: {
+        type: Number,
+        required: [true, "Quantity is required"],
+        min: [1, "Quantity must be at least 1"]
+    },
+    price: {
+        type: Number,
+        required: function() {
+            return this.orderType === "LIMIT";
+        },
+        min: [0, "Price cannot be negative"]
+    }
+}, { _id: false });
+
+const GttSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"],
+        index: true
+    },
+    symbol: {
+        type: String,
+        required: [true, "Stock symbol is required"],
+        uppercase: true,
+        trim: true
+    },
+    exchange: {
+        type: String,
+        enum: ["NSE", "BSE"],
+        default: "NSE"
+    },
+    // SINGLE: one trigger, one order. OCO: stop-loss (lower) and target (upper)
+    // triggers; whichever is hit first places its order and the other is dropped.
+    type: {
+        type: String,
+        required: [true, "GTT type is required"],
+        enum: ["SINGLE", "OCO"]
+    },
+    triggerValues: {
+        type: [Number],
+        required: [true, "Trigger values are required"]
+    },
+    // LTP when the GTT was created; tells a single trigger which way to watch
+    lastPrice: {
+        type: Number,
+        required: [true, "Last price is required"],
+        min: [0, "Last price cannot be negative"]
+    },
+    orders: {
+        type: [GttLegSchema],
+        required: [true, "Orders are required"]
+    },
+    status: {
+        type: String,
+        enum: ["ACTIVE", "TRIGGERED", "CANCELLED", "EXPIRED", "REJECTED"],
+        default: "ACTIVE",
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + MAX_GTT_VALIDITY_DAYS * DAY_MS)
+    },
+    triggerHistory: [{
+        triggeredAt: {
+            type: Date,
+            default: Date.now
+        },
+        triggerValue: Number,
+        lastPrice: Number,
+        leg: Number,
+        orderId: {
+            type: Schema.Types.ObjectId,
+            ref: "Orders"
+        },
+        orderStatus: String,
+        rejectionReason: String
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+GttSchema.index({ userId: 1, createdAt: -1 });
+GttSchema.index({ status: 1, expiresAt: 1 });
+
+// Pre-save middleware to check triggers against legs and the last price
+GttSchema.pre('save', function(next) {
+    const expectedLegs = this.type === "OCO" ? 2 : 1;
+    if (this.triggerValues.length !== expectedLegs || this.orders.length !== expectedLegs) {
+        return next(new Error(`${this.type} GTTs need exactly ${expectedLegs} trigger value(s) and order(s)`));
+    }
+
+    if (this.type === "OCO") {
+        const [stopLoss, target] = this.triggerValues;
+        if (!(stopLoss < this.lastPrice && this.lastPrice < target)) {
+            return next(new Error("OCO triggers must sit below and above the last price"));
+        }
+    } else if (this.triggerValues[0] === this.lastPrice) {
+        return next(new Error("Trigger value cannot be the same as the last price"));
+    }
+
+    const latestExpiry = new Date(Date.now() + MAX_GTT_VALIDITY_DAYS * DAY_MS);
+    if (this.expiresAt > latestExpiry) {
+        return next(new Error(`GTTs cannot stay active for more than ${MAX_GTT_VALIDITY_DAYS} days`));
+    }
+
+    next();
+});
+
+// Method to check if the GTT can still be changed or cancelled
+GttSchema.methods.isModifiable = function() {
+    return this.status === "ACTIVE";
+};
+
+// Index of the leg whose trigger the LTP has crossed, or -1
+GttSchema.methods.getTriggeredLeg = function(lastTradedPrice) {
+    if (this.type === "OCO") {
+        const [stopLoss, target] = this.triggerValues;
+        if (lastTradedPrice <= stopLoss) return 0;
+        if (lastTradedPrice >= target) return 1;
+        return -1;
+    }
+
+    const [trigger] = this.triggerValues;
+    const crossed = trigger > this.lastPrice
+        ? lastTradedPrice >= trigger
+        : lastTradedPrice <= trigger;
+    return crossed ? 0 : -1;
+};
+
+module.exports = { GttSchema, MAX_GTT_VALIDITY_DAYS };
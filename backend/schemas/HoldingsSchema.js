@@ -63,6 +63,12 @@ const HoldingsSchema = new Schema({
             return ((this.currentValue - this.investedAmount) / this.investedAmount) * 100;
         }
     },
+    // Trading charges paid on the shares still held
+    charges: {
+        type: Number,
+        default: 0,
+        min: [0, "Charges cannot be negative"]
+    },
     dayChange: {
         value: {
             type: Number,
@@ -107,6 +113,24 @@ const HoldingsSchema = new Schema({
             message: "T1 quantity must be a whole number"
         }
     },
+    // CNC buys still awaiting delivery, one entry per trade date (IST date keys);
+    // t1Quantity is their total
+    unsettledBuys: [{
+        _id: false,
+        quantity: {
+            type: Number,
+            required: [true, "Unsettled quantity is required"],
+            min: [0, "Unsettled quantity cannot be negative"]
+        },
+        tradeDate: {
+            type: String,
+            required: [true, "Trade date is required"]
+        },
+        settlesOn: {
+            type: String,
+            required: [true, "Settlement date is required"]
+        }
+    }],
     authorizedQuantity: {
         type: Number,
         default: 0,
@@ -135,6 +159,7 @@ const HoldingsSchema = new Schema({
 // Indexes
 HoldingsSchema.index({ userId: 1, symbol: 1 }, { unique: true });
 HoldingsSchema.index({ userId: 1, createdAt: -1 });
+HoldingsSchema.index({ "unsettledBuys.settlesOn": 1 });
 
 // Virtual for available quantity
 HoldingsSchema.virtual('availableQuantity').get(function() {
@@ -146,6 +171,11 @@ HoldingsSchema.virtual('totalValue').get(function() {
     return this.currentValue + (this.t1Quantity * this.currentMarketPrice);
 });
 
+// Virtual for P&L after the charges paid to buy the holding
+HoldingsSchema.virtual('netProfitLoss').get(function() {
+    return this.profitLoss - this.charges;
+});
+
 // Pre-save middleware to update lastUpdated
 HoldingsSchema.pre('save', function(next) {
     this.lastUpdated = new Date();
@@ -162,7 +192,32 @@ HoldingsSchema.methods.updateMarketPrice = function(newPrice) {
     this.currentMarketPrice = newPrice;
     this.currentValue = this.quantity * newPrice;
     this.profitLoss = this.currentValue - this.investedAmount;
-    this.profitLossPercentage = (this.profitLoss / this.investedAmount) * 100;
+    // Nothing is invested yet while every share is still awaiting settlement
+    this.profitLossPercentage = this.investedAmount > 0 ? (this.profitLoss / this.investedAmount) * 100 : 0;
 };
 
+// Quantity and average cost changes are announced as saves; re-pricing alone (as
+// mark-to-market does every few seconds) is announced as a re-mark, which the
+// user event stream pushes live without storing it
+const ANNOUNCED_FIELDS = ["quantity", "t1Quantity", "pledgedQuantity", "collateralQuantity", "averageBuyPrice"];
+
+HoldingsSchema.pre('save', function(next) {
+    this.$locals.announce = this.isNew || this.isModified(ANNOUNCED_FIELDS);
+    this.$locals.remark = !this.$locals.announce && this.isModified();
+    next();
+});
+
+// Post middleware to announce changes (consumed by the user event stream)
+HoldingsSchema.post('save', function(doc) {
+    if (doc.$locals.announce) {
+        doc.constructor.emit('change', { operation: 'save', doc });
+    } else if (doc.$locals.remark) {
+        doc.constructor.emit('change', { operation: 'remark', doc });
+    }
+});
+
+HoldingsSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+    doc.constructor.emit('change', { operation: 'delete', doc });
+});
+
 module.exports = { HoldingsSchema };
@@ -0,0 +1,53 @@
+const { Schema } = require("mongoose");
+
+const InstrumentSchema = new Schema({
+    tradingsymbol: {
+        type: String,
+        required: [true, "Trading symbol is required"],
+        uppercase: true,
+        trim: true
+    },
+    exchange: {
+        type: String,
+        enum: ["NSE", "BSE"],
+        required: [true, "Exchange is required"]
+    },
+    isin: {
+        type: String,
+        match: [/^[A-Z]{2}[A-Z0-9]{10}\d$/, "Please enter a valid ISIN"]
+    },
+    name: {
+        type: String,
+        required: [true, "Instrument name is required"],
+        trim: true
+    },
+    instrumentType: {
+        type: String,
+        enum: ["EQ", "ETF", "INDEX"],
+        default: "EQ"
+    },
+    sector: String,
+    industry: String,
+    lotSize: {
+        type: Number,
+        default: 1,
+        min: [1, "Lot size must be at least 1"]
+    },
+    tickSize: {
+        type: Number,
+        default: 0.05,
+        min: [0.01, "Tick size must be at least 0.01"]
+    },
+    tradable: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+InstrumentSchema.index({ tradingsymbol: 1, exchange: 1 }, { unique: true });
+InstrumentSchema.index({ isin: 1 });
+
+module.exports = { InstrumentSchema };
@@ -0,0 +1,78 @@
+const { Schema } = require("mongoose");
+const { appendOnly } = require("./appendOnly");
+
+const LEDGER_ENTRY_TYPES = [
+    "OPENING_BALANCE",
+    "PAY_IN",
+    "PAYOUT",
+    "MARGIN_BLOCKED",
+    "MARGIN_RELEASED",
+    "REALIZED_PNL",
+    "CHARGES"
+];
+
+// One movement on a user's funds account. Cash entries carry a signed amount
+// that moves the balance; margin entries move the blocked margin instead.
+const LedgerEntrySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"],
+        immutable: true
+    },
+    type: {
+        type: String,
+        required: [true, "Entry type is required"],
+        enum: LEDGER_ENTRY_TYPES,
+        immutable: true
+    },
+    amount: {
+        type: Number,
+        required: [true, "Amount is required"],
+        immutable: true
+    },
+    // Account totals right after this entry
+    balance: {
+        type: Number,
+        required: [true, "Balance is required"],
+        immutable: true
+    },
+    blockedMargin: {
+        type: Number,
+        required: [true, "Blocked margin is required"],
+        immutable: true
+    },
+    orderId: {
+        type: Schema.Types.ObjectId,
+        ref: "Orders",
+        immutable: true
+    },
+    symbol: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        immutable: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        immutable: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+LedgerEntrySchema.index({ userId: 1, createdAt: -1 });
+LedgerEntrySchema.index({ orderId: 1 }, { sparse: true });
+
+// The ledger is append-only; corrections are new entries
+LedgerEntrySchema.plugin(appendOnly, { message: "Ledger entries cannot be changed or deleted" });
+
+module.exports = { LedgerEntrySchema, LEDGER_ENTRY_TYPES };
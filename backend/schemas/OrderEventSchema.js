@@ -0,0 +1,80 @@
+const { Schema } = require("mongoose");
+const { appendOnly } = require("./appendOnly");
+
+// Who caused a change: the user, or the part of the platform acting on their order
+const ORDER_EVENT_ACTORS = ["USER", "SYSTEM", "GTT", "BRACKET", "ALGO"];
+
+const ChangeSchema = new Schema({
+    field: {
+        type: String,
+        required: [true, "Changed field is required"]
+    },
+    from: Schema.Types.Mixed,
+    to: Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only audit trail of everything that happened to an order
+const OrderEventSchema = new Schema({
+    orderId: {
+        type: Schema.Types.ObjectId,
+        ref: "Orders",
+        required: [true, "Order ID is required"],
+        immutable: true
+    },
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"],
+        immutable: true
+    },
+    type: {
+        type: String,
+        required: [true, "Event type is required"],
+        enum: ["PLACED", "STATUS_CHANGE", "MODIFIED", "FILL"],
+        immutable: true
+    },
+    actor: {
+        type: String,
+        required: [true, "Actor is required"],
+        enum: ORDER_EVENT_ACTORS,
+        immutable: true
+    },
+    // Order status once the event was applied
+    status: {
+        type: String,
+        immutable: true
+    },
+    changes: {
+        type: [ChangeSchema],
+        default: [],
+        immutable: true
+    },
+    fill: {
+        type: new Schema({
+            quantity: Number,
+            price: Number
+        }, { _id: false }),
+        immutable: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        immutable: true
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+OrderEventSchema.index({ orderId: 1, at: 1 });
+
+// Events are written once and never touched again
+OrderEventSchema.plugin(appendOnly, { message: "Order events cannot be changed or deleted" });
+
+module.exports = { OrderEventSchema, ORDER_EVENT_ACTORS };
@@ -50,9 +50,14 @@ const OrdersSchema = new Schema({
         },
         min: [0, "Trigger price cannot be negative"]
     },
+    variety: {
+        type: String,
+        enum: ["regular", "amo", "bo", "co", "iceberg", "twap"],
+        default: "regular"
+    },
     status: {
         type: String,
-        enum: ["PENDING", "EXECUTED", "CANCELLED", "REJECTED"],
+        enum: ["AMO_RECEIVED", "PENDING", "TRIGGER_PENDING", "OPEN", "EXECUTED", "CANCELLED", "REJECTED"],
         default: "PENDING",
         index: true
     },
@@ -87,6 +92,24 @@ const OrdersSchema = new Schema({
             return this.price * this.quantity;
         }
     },
+    triggeredAt: Date,
+    releasedAt: Date,
+    fills: [{
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, "Fill quantity must be at least 1"]
+        },
+        price: {
+            type: Number,
+            required: true,
+            min: [0, "Fill price cannot be negative"]
+        },
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     rejectionReason: String,
     tags: [String],
     notes: String,
@@ -94,6 +117,65 @@ const OrdersSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "Orders",
         sparse: true
+    },
+    // Bracket order distances (in price points) from the entry fill price
+    squareOff: {
+        type: Number,
+        min: [0, "Square-off cannot be negative"]
+    },
+    stopLoss: {
+        type: Number,
+        min: [0, "Stop-loss cannot be negative"]
+    },
+    trailingStopLoss: {
+        type: Number,
+        min: [0, "Trailing stop-loss cannot be negative"]
+    },
+    exitedAt: Date,
+    // Iceberg/TWAP parents: how the quantity is sliced and how much has gone out
+    icebergQuantity: {
+        type: Number,
+        min: [1, "Iceberg quantity must be at least 1"]
+    },
+    twapDuration: {
+        type: Number,
+        min: [1, "TWAP duration must be at least 1 minute"]
+    },
+    twapSlices: {
+        type: Number,
+        min: [2, "TWAP needs at least 2 slices"]
+    },
+    placedQuantity: {
+        type: Number,
+        default: 0
+    },
+    slicesPlaced: {
+        type: Number,
+        default: 0
+    },
+    nextSliceAt: Date,
+    // Funds set aside for the order: what the full quantity needs, and what is
+    // still blocked for the part that has not filled yet
+    marginRequired: {
+        type: Number,
+        default: 0,
+        min: [0, "Margin cannot be negative"]
+    },
+    blockedMargin: {
+        type: Number,
+        default: 0,
+        min: [0, "Blocked margin cannot be negative"]
+    },
+    // Brokerage charged across the order's fills so far (for iceberg/TWAP
+    // orders, across all their slices), which the per-order cap applies to
+    brokerageCharged: {
+        type: Number,
+        default: 0
+    },
+    gttId: {
+        type: Schema.Types.ObjectId,
+        ref: "GTT",
+        sparse: true
     }
 }, {
     timestamps: true,
@@ -105,6 +187,7 @@ const OrdersSchema = new Schema({
 OrdersSchema.index({ userId: 1, createdAt: -1 });
 OrdersSchema.index({ status: 1, createdAt: -1 });
 OrdersSchema.index({ symbol: 1, createdAt: -1 });
+OrdersSchema.index({ parentOrderId: 1 }, { sparse: true });
 
 // Virtual for order age
 OrdersSchema.virtual('orderAge').get(function() {
@@ -115,26 +198,65 @@ OrdersSchema.virtual('orderAge').get(function() {
 OrdersSchema.pre('save', function(next) {
     if (this.orderType === "LIMIT" || this.orderType === "SL") {
         if (!this.price) {
-            next(new Error("Price is required for LIMIT and SL orders"));
+            return next(new Error("Price is required for LIMIT and SL orders"));
         }
     }
     
     if (this.orderType === "SL" || this.orderType === "SL-M") {
         if (!this.triggerPrice) {
-            next(new Error("Trigger price is required for SL and SL-M orders"));
+            return next(new Error("Trigger price is required for SL and SL-M orders"));
         }
     }
 
-    if (this.orderType === "SL" && this.triggerPrice >= this.price) {
-        next(new Error("For SL orders, trigger price must be less than limit price"));
+    // A buy stop fires on a rise, so its limit sits at or above the trigger;
+    // a sell stop fires on a fall, so its limit sits at or below the trigger.
+    if (this.orderType === "SL") {
+        if (this.transactionType === "BUY" && this.triggerPrice > this.price) {
+            return next(new Error("For SL buy orders, trigger price cannot be above the limit price"));
+        }
+        if (this.transactionType === "SELL" && this.triggerPrice < this.price) {
+            return next(new Error("For SL sell orders, trigger price cannot be below the limit price"));
+        }
     }
 
     next();
 });
 
-// Method to check if order is modifiable
+// Method to check if order is modifiable (queued AMOs included)
 OrdersSchema.methods.isModifiable = function() {
-    return this.status === "PENDING";
+    return ["AMO_RECEIVED", "PENDING", "TRIGGER_PENDING", "OPEN"].includes(this.status);
+};
+
+// Method to check if a stop order's trigger has been crossed by the LTP
+OrdersSchema.methods.isTriggered = function(lastTradedPrice) {
+    if (this.transactionType === "BUY") {
+        return lastTradedPrice >= this.triggerPrice;
+    }
+    return lastTradedPrice <= this.triggerPrice;
+};
+
+// Method to record a (partial) fill and re-average the execution price
+OrdersSchema.methods.applyFill = function(quantity, price) {
+    const filledValue = this.averagePrice * this.filledQuantity + price * quantity;
+
+    this.filledQuantity += quantity;
+    this.remainingQuantity = this.quantity - this.filledQuantity;
+    this.averagePrice = filledValue / this.filledQuantity;
+    this.fills.push({ quantity, price, timestamp: new Date() });
+
+    if (this.remainingQuantity === 0) {
+        this.status = "EXECUTED";
+    }
+};
+
+// Method to check if order is the entry or a leg of a bracket/cover order
+OrdersSchema.methods.isBracket = function() {
+    return this.variety === "bo" || this.variety === "co";
+};
+
+// Method to check if order is an iceberg/TWAP parent, which only trades through its children
+OrdersSchema.methods.isAlgoParent = function() {
+    return (this.variety === "iceberg" || this.variety === "twap") && !this.parentOrderId;
 };
 
 // Method to calculate order value
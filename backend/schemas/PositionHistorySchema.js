@@ -0,0 +1,93 @@
+const { Schema } = require("mongoose");
+
+const CLOSE_REASONS = ["CLOSED", "SQUARED_OFF"];
+
+// One round trip of a position, from opening out of flat to closing back to it.
+// CLOSED trips were closed by trades; SQUARED_OFF ones were removed by hand
+// and are valued at the last traded price.
+const PositionHistorySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"]
+    },
+    positionId: {
+        type: Schema.Types.ObjectId,
+        ref: "Positions"
+    },
+    symbol: {
+        type: String,
+        required: [true, "Stock symbol is required"],
+        uppercase: true,
+        trim: true
+    },
+    exchange: {
+        type: String,
+        enum: ["NSE", "BSE"],
+        default: "NSE"
+    },
+    product: {
+        type: String,
+        enum: ["MIS", "NRML", "CNC"],
+        required: [true, "Product type is required"]
+    },
+    side: {
+        type: String,
+        enum: ["LONG", "SHORT"],
+        required: [true, "Side is required"]
+    },
+    quantity: {
+        type: Number,
+        required: [true, "Quantity is required"],
+        min: [0, "Quantity cannot be negative"]
+    },
+    entryAveragePrice: {
+        type: Number,
+        required: [true, "Entry average price is required"],
+        min: [0, "Entry average price cannot be negative"]
+    },
+    exitAveragePrice: {
+        type: Number,
+        required: [true, "Exit average price is required"],
+        min: [0, "Exit average price cannot be negative"]
+    },
+    realizedProfitLoss: {
+        type: Number,
+        default: 0
+    },
+    charges: {
+        type: Number,
+        default: 0
+    },
+    netRealizedProfitLoss: {
+        type: Number,
+        default: 0
+    },
+    openedAt: {
+        type: Date,
+        required: [true, "Opened at is required"]
+    },
+    closedAt: {
+        type: Date,
+        required: [true, "Closed at is required"]
+    },
+    // Seconds between opening and closing
+    holdingDuration: {
+        type: Number,
+        min: [0, "Holding duration cannot be negative"]
+    },
+    closeReason: {
+        type: String,
+        enum: CLOSE_REASONS,
+        default: "CLOSED"
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+PositionHistorySchema.index({ userId: 1, closedAt: -1 });
+PositionHistorySchema.index({ userId: 1, symbol: 1, closedAt: -1 });
+
+module.exports = { PositionHistorySchema, CLOSE_REASONS };
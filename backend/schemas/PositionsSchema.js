@@ -96,6 +96,12 @@ const PositionsSchema = new Schema({
         type: Number,
         default: 0
     },
+    // Brokerage and statutory charges on every trade in the position
+    charges: {
+        type: Number,
+        default: 0,
+        min: [0, "Charges cannot be negative"]
+    },
     dayChange: {
         value: {
             type: Number,
@@ -110,6 +116,17 @@ const PositionsSchema = new Schema({
         type: Boolean,
         default: false
     },
+    // Net quantity carried in from the previous trading day, and its average cost
+    overnightQuantity: {
+        type: Number,
+        default: 0
+    },
+    overnightAveragePrice: {
+        type: Number,
+        min: [0, "Overnight average price cannot be negative"]
+    },
+    // Close of the last trading day this position was rolled over from
+    rolledOverAt: Date,
     closePrice: {
         type: Number,
         min: [0, "Close price cannot be negative"]
@@ -126,6 +143,16 @@ const PositionsSchema = new Schema({
         type: Number,
         min: [0, "Low price cannot be negative"]
     },
+    // When the current round trip opened out of flat, and the day legs and
+    // charges as they stood then; closing it archives only what came after
+    openedAt: Date,
+    openBaseline: {
+        buyQuantity: Number,
+        buyValue: Number,
+        sellQuantity: Number,
+        sellValue: Number,
+        charges: Number
+    },
     lastUpdateTime: {
         type: Date,
         default: Date.now
@@ -151,11 +178,21 @@ PositionsSchema.virtual('averageBuySellPrice').get(function() {
     return this.netQuantity > 0 ? this.buyAveragePrice : this.sellAveragePrice;
 });
 
+// Virtuals for P&L after charges
+PositionsSchema.virtual('netRealizedProfitLoss').get(function() {
+    return this.realizedProfitLoss - this.charges;
+});
+
+PositionsSchema.virtual('netProfitLoss').get(function() {
+    return this.profitLoss - this.charges;
+});
+
 // Pre-save middleware to update calculations
 PositionsSchema.pre('save', function(next) {
     // Update profit/loss calculations
     this.profitLoss = this.calculateProfitLoss();
     this.unrealizedProfitLoss = this.calculateUnrealizedProfitLoss();
+    this.dayChange = this.calculateDayChange();
     this.lastUpdateTime = new Date();
     next();
 });
@@ -174,6 +211,23 @@ PositionsSchema.methods.calculateUnrealizedProfitLoss = function() {
     return netQty * (this.lastTradedPrice - avgPrice) * this.multiplier;
 };
 
+// Method to calculate today's P&L: carried quantity counts from the previous
+// close rather than from its cost
+PositionsSchema.methods.calculateDayChange = function() {
+    const overnightMove = this.overnight && this.closePrice
+        ? this.overnightQuantity * (this.closePrice - this.overnightAveragePrice) * this.multiplier
+        : 0;
+    const value = this.calculateProfitLoss() - overnightMove;
+
+    const base = this.overnight && this.closePrice
+        ? Math.abs(this.overnightQuantity) * this.closePrice * this.multiplier
+        : Math.max(this.buyValue, this.sellValue);
+    return {
+        value,
+        percentage: base > 0 ? value / base * 100 : 0
+    };
+};
+
 // Method to update market price
 PositionsSchema.methods.updateMarketPrice = function(newPrice) {
     this.lastTradedPrice = newPrice;
@@ -181,4 +235,28 @@ PositionsSchema.methods.updateMarketPrice = function(newPrice) {
     this.unrealizedProfitLoss = this.calculateUnrealizedProfitLoss();
 };
 
+// Quantity and average cost changes are announced as saves; re-pricing alone (as
+// mark-to-market does every few seconds) is announced as a re-mark, which the
+// user event stream pushes live without storing it
+const ANNOUNCED_FIELDS = ["quantity", "buyQuantity", "sellQuantity", "averagePrice", "buyAveragePrice", "sellAveragePrice", "overnightQuantity", "overnightAveragePrice"];
+
+PositionsSchema.pre('save', function(next) {
+    this.$locals.announce = this.isNew || this.isModified(ANNOUNCED_FIELDS);
+    this.$locals.remark = !this.$locals.announce && this.isModified();
+    next();
+});
+
+// Post middleware to announce changes (consumed by the user event stream)
+PositionsSchema.post('save', function(doc) {
+    if (doc.$locals.announce) {
+        doc.constructor.emit('change', { operation: 'save', doc });
+    } else if (doc.$locals.remark) {
+        doc.constructor.emit('change', { operation: 'remark', doc });
+    }
+});
+
+PositionsSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+    doc.constructor.emit('change', { operation: 'delete', doc });
+});
+
 module.exports = { PositionsSchema };
\ No newline at end of file
@@ -0,0 +1,18 @@
+const { Schema } = require("mongoose");
+
+// Last event sequence number handed out to a user. Kept apart from the events
+// themselves, which expire, so numbering never restarts once they are gone.
+const UserEventCounterSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"],
+        unique: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+module.exports = { UserEventCounterSchema };
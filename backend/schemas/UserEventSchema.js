@@ -0,0 +1,39 @@
+const { Schema } = require("mongoose");
+
+// Retain events long enough for reconnecting clients to catch up
+const EVENT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const UserEventSchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: "Users",
+        required: [true, "User ID is required"]
+    },
+    seq: {
+        type: Number,
+        required: [true, "Sequence number is required"],
+        min: [1, "Sequence number must be at least 1"]
+    },
+    type: {
+        type: String,
+        required: [true, "Event type is required"],
+        enum: ["ORDER_UPDATE", "ORDER_FILL", "HOLDING_UPDATE", "POSITION_UPDATE", "GTT_UPDATE", "SQUARE_OFF_SUMMARY"]
+    },
+    data: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: EVENT_RETENTION_SECONDS
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+UserEventSchema.index({ userId: 1, seq: 1 }, { unique: true });
+
+module.exports = { UserEventSchema };
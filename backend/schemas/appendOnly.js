@@ -0,0 +1,21 @@
+const CHANGE_OPERATIONS = [
+    "updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+    "deleteOne", "deleteMany", "findOneAndDelete"
+];
+
+// Schema plugin for records that are written once and never touched again;
+// corrections are new records
+const appendOnly = (schema, { message }) => {
+    const rejectChange = function(next) {
+        next(new Error(message));
+    };
+
+    schema.pre('save', function(next) {
+        if (!this.isNew) return rejectChange(next);
+        next();
+    });
+
+    schema.pre(CHANGE_OPERATIONS, rejectChange);
+};
+
+module.exports = { appendOnly };
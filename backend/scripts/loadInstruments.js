@@ -0,0 +1,22 @@
+// Load an instrument dump into MongoDB: npm run load-instruments -- [file.csv|file.json]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { loadInstruments, DEFAULT_INSTRUMENTS_FILE } = require("../services/instruments");
+
+const file = process.argv[2] || DEFAULT_INSTRUMENTS_FILE;
+
+if (!process.env.MONGO_URL) {
+    console.error("❌ Missing MONGO_URL in .env file!");
+    process.exit(1);
+}
+
+mongoose.connect(process.env.MONGO_URL)
+    .then(() => loadInstruments(file))
+    .then((count) => {
+        console.log(`✅ Loaded ${count} instruments from ${file}`);
+        return mongoose.connection.close();
+    })
+    .catch((err) => {
+        console.error("❌ Instrument Load Error:", err);
+        process.exit(1);
+    });
@@ -0,0 +1,290 @@
+const { OrdersModel } = require("../models/OrdersModel");
+const { createTaskQueue } = require("./taskQueue");
+const { findInstrument } = require("./instruments");
+const { executionEvents, cancelOrder } = require("./orderExecution");
+const { placeOrder, registerOrderVariety } = require("./orderPlacement");
+
+// Slicing and fill aggregation for one parent run one step at a time
+const enqueue = createTaskQueue();
+
+const WORKING_STATUSES = ["PENDING", "TRIGGER_PENDING", "OPEN"];
+const MAX_ICEBERG_LEGS = 50;
+const ALGO_TAGS = { iceberg: "ICEBERG", twap: "TWAP" };
+
+// parentId -> TWAP parent waiting for its next slice
+const twapParents = new Map();
+let sliceTimer = null;
+
+const isAlgoChild = (order) => Boolean(order.parentOrderId) && Boolean(ALGO_TAGS[order.variety]);
+
+// Round a slice down to whole lots, but never below one lot
+const toLots = (quantity, lotSize) => Math.max(Math.floor(quantity / lotSize) * lotSize, lotSize);
+
+// Parameter checks for iceberg and TWAP parents; returns { error, message } or null
+const validateAlgoOrder = ({ symbol, exchange, variety, quantity, orderType, validity, icebergQuantity, twapDuration, twapSlices }) => {
+    const label = variety === "iceberg" ? "Iceberg" : "TWAP";
+    const { lotSize } = findInstrument(symbol, exchange);
+
+    if (!["MARKET", "LIMIT"].includes(orderType)) {
+        return { error: "Invalid order type", message: `${label} orders must be MARKET or LIMIT orders` };
+    }
+    if (validity && validity !== "DAY") {
+        return { error: "Invalid validity", message: `${label} orders must be DAY orders` };
+    }
+
+    if (variety === "iceberg") {
+        if (!(icebergQuantity > 0) || icebergQuantity % lotSize !== 0 || icebergQuantity >= quantity) {
+            return {
+                error: "Invalid iceberg quantity",
+                message: `icebergQuantity must be a multiple of the lot size (${lotSize}) and less than the order quantity`
+            };
+        }
+        if (Math.ceil(quantity / icebergQuantity) > MAX_ICEBERG_LEGS) {
+            return {
+                error: "Invalid iceberg quantity",
+                message: `Iceberg orders can have at most ${MAX_ICEBERG_LEGS} legs`
+            };
+        }
+        return null;
+    }
+
+    if (!(twapDuration > 0) || !(twapSlices >= 2)) {
+        return { error: "Invalid TWAP", message: "TWAP orders need a twapDuration and at least 2 twapSlices" };
+    }
+    if (quantity < twapSlices * lotSize) {
+        return {
+            error: "Invalid TWAP",
+            message: `Quantity is too small to split into ${twapSlices} slices of at least one lot (${lotSize})`
+        };
+    }
+    return null;
+};
+
+const notifyStatus = (parent, previousStatus, actor = "ALGO") => {
+    if (parent.status !== previousStatus) {
+        executionEvents.emit("statusChange", { order: parent, previousStatus, actor });
+    }
+};
+
+// Close the parent (if still working) and cancel anything it has working
+const closeParent = async (parent, status, reason, actor = "ALGO") => {
+    twapParents.delete(String(parent._id));
+
+    if (WORKING_STATUSES.includes(parent.status)) {
+        const previousStatus = parent.status;
+        parent.status = status;
+        parent.rejectionReason = reason;
+        parent.nextSliceAt = undefined;
+        await parent.save();
+        notifyStatus(parent, previousStatus, actor);
+    }
+
+    const children = await OrdersModel.find({
+        parentOrderId: parent._id,
+        status: { $in: WORKING_STATUSES }
+    });
+    for (const child of children) {
+        await cancelOrder(child._id, reason, actor);
+    }
+    return parent;
+};
+
+// Send the next slice of the parent to the market as a child order
+const placeChild = async (parent, quantity) => {
+    const { order, error } = await placeOrder({
+        userId: parent.userId,
+        symbol: parent.symbol,
+        exchange: parent.exchange,
+        quantity,
+        price: parent.orderType === "LIMIT" ? parent.price : undefined,
+        transactionType: parent.transactionType,
+        orderType: parent.orderType,
+        validity: "DAY",
+        product: parent.product,
+        variety: parent.variety,
+        parentOrderId: parent._id,
+        tags: [ALGO_TAGS[parent.variety]],
+        actor: "ALGO"
+    });
+
+    if (error || order.status === "REJECTED") {
+        const reason = `${ALGO_TAGS[parent.variety]} slice rejected: ${error ? error.message : order.rejectionReason}`;
+        await closeParent(parent, parent.filledQuantity > 0 ? "CANCELLED" : "REJECTED", reason);
+        return null;
+    }
+
+    parent.placedQuantity += quantity;
+    await parent.save();
+    return order;
+};
+
+const placeNextIcebergLeg = async (parent) => {
+    const unplaced = parent.quantity - parent.placedQuantity;
+    if (unplaced <= 0 || !WORKING_STATUSES.includes(parent.status)) return null;
+    return placeChild(parent, Math.min(parent.icebergQuantity, unplaced));
+};
+
+const placeNextTwapSlice = async (parent) => {
+    if (!WORKING_STATUSES.includes(parent.status)) {
+        twapParents.delete(String(parent._id));
+        return null;
+    }
+
+    const { lotSize } = findInstrument(parent.symbol, parent.exchange) || { lotSize: 1 };
+    const unplaced = parent.quantity - parent.placedQuantity;
+    const isLastSlice = parent.slicesPlaced + 1 >= parent.twapSlices;
+    const quantity = isLastSlice
+        ? unplaced
+        : Math.min(toLots(parent.quantity / parent.twapSlices, lotSize), unplaced);
+
+    parent.slicesPlaced += 1;
+    const intervalMs = parent.twapDuration * 60 * 1000 / parent.twapSlices;
+    parent.nextSliceAt = isLastSlice || quantity === unplaced
+        ? undefined
+        : new Date(parent.nextSliceAt.getTime() + intervalMs);
+
+    const child = await placeChild(parent, quantity);
+    if (parent.nextSliceAt) {
+        twapParents.set(String(parent._id), parent.nextSliceAt);
+    } else {
+        twapParents.delete(String(parent._id));
+    }
+    return child;
+};
+
+// Accept a new iceberg/TWAP parent and send out its first slice
+const submitAlgoOrder = (order) => enqueue(async () => {
+    const parent = await OrdersModel.findById(order._id);
+    if (!parent || parent.status !== "PENDING") return parent;
+
+    parent.status = "OPEN";
+    if (parent.variety === "twap") parent.nextSliceAt = new Date();
+    await parent.save();
+    notifyStatus(parent, "PENDING");
+
+    if (parent.variety === "iceberg") {
+        await placeNextIcebergLeg(parent);
+    } else {
+        await placeNextTwapSlice(parent);
+    }
+    return OrdersModel.findById(parent._id);
+});
+
+// Child fills roll up into the parent's filledQuantity and averagePrice
+const onChildFill = async (child, quantity, price) => {
+    const parent = await OrdersModel.findById(child.parentOrderId);
+    if (!parent) return;
+
+    const previousStatus = parent.status;
+    parent.applyFill(quantity, price);
+    // A fill that raced a cancel still counts, but doesn't reopen the parent
+    if (!WORKING_STATUSES.includes(previousStatus)) {
+        parent.status = previousStatus;
+    }
+    if (parent.status === "EXECUTED") {
+        parent.nextSliceAt = undefined;
+        twapParents.delete(String(parent._id));
+    }
+    await parent.save();
+    // The parent's own fill carries no P&L or charges; those were booked with the slice
+    executionEvents.emit("fill", { order: parent, quantity, price, actor: "ALGO" });
+    notifyStatus(parent, previousStatus);
+
+    // The next iceberg leg only shows once the visible one is gone
+    if (parent.variety === "iceberg" && child.status === "EXECUTED") {
+        await placeNextIcebergLeg(parent);
+    }
+};
+
+// A child that dies on its own (expiry, IOC, engine rejection) stops the whole unit
+const onChildClosed = async (child) => {
+    const parent = await OrdersModel.findById(child.parentOrderId);
+    if (!parent || !WORKING_STATUSES.includes(parent.status)) return;
+
+    await closeParent(parent, "CANCELLED", child.rejectionReason || `${ALGO_TAGS[parent.variety]} slice ${child.status.toLowerCase()}`);
+};
+
+const logAlgoError = (error) => {
+    console.error("Algo Order Error:", error);
+};
+
+const onFill = ({ order, quantity, price }) => {
+    if (!isAlgoChild(order)) return;
+    enqueue(() => onChildFill(order, quantity, price)).catch(logAlgoError);
+};
+
+const onStatusChange = ({ order }) => {
+    if (isAlgoChild(order) && ["CANCELLED", "REJECTED"].includes(order.status)) {
+        enqueue(() => onChildClosed(order)).catch(logAlgoError);
+    } else if (order.isAlgoParent() && !WORKING_STATUSES.includes(order.status)) {
+        // e.g. the engine expired the parent at market close
+        enqueue(() => closeParent(order, order.status, order.rejectionReason, "SYSTEM")).catch(logAlgoError);
+    }
+};
+
+// Cancel an iceberg/TWAP order as a unit, from the parent or any child.
+// Resolves to the parent, or null if the order is not part of one.
+const cancelAlgoOrder = (orderId, reason = "Cancelled by user", actor = "USER") => enqueue(async () => {
+    const order = await OrdersModel.findById(orderId);
+    if (!order || !ALGO_TAGS[order.variety]) return null;
+
+    const parent = order.parentOrderId ? await OrdersModel.findById(order.parentOrderId) : order;
+    if (!parent) return null;
+    return closeParent(parent, "CANCELLED", reason, actor);
+});
+
+const runDueSlices = () => {
+    const now = Date.now();
+    twapParents.forEach((nextSliceAt, parentId) => {
+        if (nextSliceAt.getTime() > now) return;
+        twapParents.delete(parentId);
+
+        enqueue(async () => {
+            const parent = await OrdersModel.findById(parentId);
+            if (parent) await placeNextTwapSlice(parent);
+        }).catch(logAlgoError);
+    });
+};
+
+registerOrderVariety("iceberg", { validate: validateAlgoOrder, submit: submitAlgoOrder });
+registerOrderVariety("twap", { validate: validateAlgoOrder, submit: submitAlgoOrder });
+
+// Resume parents left working from a previous run
+const startAlgoOrders = async (intervalMs = 1000) => {
+    executionEvents.on("fill", onFill);
+    executionEvents.on("statusChange", onStatusChange);
+
+    const parents = await OrdersModel.find({
+        variety: { $in: Object.keys(ALGO_TAGS) },
+        parentOrderId: { $exists: false },
+        status: { $in: WORKING_STATUSES }
+    });
+
+    for (const parent of parents) {
+        if (parent.variety === "twap" && parent.nextSliceAt) {
+            twapParents.set(String(parent._id), parent.nextSliceAt);
+        } else if (parent.variety === "iceberg") {
+            const working = await OrdersModel.countDocuments({
+                parentOrderId: parent._id,
+                status: { $in: WORKING_STATUSES }
+            });
+            if (working === 0) await enqueue(() => placeNextIcebergLeg(parent));
+        }
+    }
+
+    sliceTimer = setInterval(runDueSlices, intervalMs);
+};
+
+const stopAlgoOrders = () => {
+    executionEvents.off("fill", onFill);
+    executionEvents.off("statusChange", onStatusChange);
+    clearInterval(sliceTimer);
+    sliceTimer = null;
+    twapParents.clear();
+};
+
+module.exports = {
+    cancelAlgoOrder,
+    startAlgoOrders,
+    stopAlgoOrders
+};
@@ -0,0 +1,225 @@
+const EventEmitter = require("events");
+const { OrdersModel } = require("../models/OrdersModel");
+const { PositionsModel } = require("../models/PositionsModel");
+const marketData = require("./marketData");
+const { createTaskQueue } = require("./taskQueue");
+const { findInstrument } = require("./instruments");
+const { getRiskLimits } = require("./riskChecks");
+const { cancelOrder } = require("./orderExecution");
+const { placeOrder } = require("./orderPlacement");
+const { exitBracket } = require("./bracketOrders");
+const { cancelAlgoOrder } = require("./algoOrders");
+const { toIST, isMarketOpen, isPastSquareOff } = require("./marketCalendar");
+
+const squareOffEvents = new EventEmitter();
+squareOffEvents.setMaxListeners(0);
+
+// Square-off runs for different exchanges never overlap
+const enqueue = createTaskQueue();
+
+const EXCHANGES = ["NSE", "BSE"];
+const OPEN_STATUSES = ["AMO_RECEIVED", "PENDING", "TRIGGER_PENDING", "OPEN"];
+const ALGO_VARIETIES = ["iceberg", "twap"];
+const AUTO_SQUARE_OFF_TAG = "AUTO_SQUARE_OFF";
+const SQUARE_OFF_REASON = "Auto square-off of intraday (MIS) positions";
+
+// "exchange:date" of every square-off already run, so each happens once a day
+const completedRuns = new Set();
+let squareOffTimer = null;
+
+const round = (value) => Number(value.toFixed(2));
+
+// Cancel every open MIS order on the exchange. Bracket/cover orders are exited
+// and iceberg/TWAP orders cancelled as a unit, so no leg or slice is left behind.
+const cancelOpenOrders = async (exchange) => {
+    const orders = await OrdersModel.find({
+        exchange,
+        product: "MIS",
+        status: { $in: OPEN_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    const handled = new Set();
+    for (const order of orders) {
+        const unitId = String(order.parentOrderId || order._id);
+        if (handled.has(unitId)) continue;
+        handled.add(unitId);
+
+        if (order.isBracket()) {
+            await exitBracket(order._id, SQUARE_OFF_REASON, "SYSTEM");
+        } else if (ALGO_VARIETIES.includes(order.variety)) {
+            await cancelAlgoOrder(order._id, SQUARE_OFF_REASON, "SYSTEM");
+        } else {
+            await cancelOrder(order._id, SQUARE_OFF_REASON, "SYSTEM");
+        }
+    }
+    return orders;
+};
+
+// Quantity already on its way out of a position: closing-side MIS orders still
+// working after the cancel sweep, such as the exit a bracket order just placed
+const getExitingQuantity = async (position) => {
+    const orders = await OrdersModel.find({
+        userId: position.userId,
+        symbol: position.symbol,
+        product: "MIS",
+        transactionType: position.netQuantity > 0 ? "SELL" : "BUY",
+        status: { $in: OPEN_STATUSES }
+    }).select("remainingQuantity");
+    return orders.reduce((sum, order) => sum + order.remainingQuantity, 0);
+};
+
+// Largest exit order the per-order risk limits allow, in whole lots
+const getExitSliceQuantity = (position) => {
+    const { maxQuantity, maxOrderValue } = getRiskLimits(position.symbol);
+    const { lotSize } = findInstrument(position.symbol, position.exchange) || { lotSize: 1 };
+    const ltp = marketData.getLTP(position.symbol) || position.lastTradedPrice;
+
+    let limit = Infinity;
+    if (maxQuantity) limit = Math.min(limit, maxQuantity);
+    if (maxOrderValue && ltp) limit = Math.min(limit, Math.floor(maxOrderValue / ltp));
+    return Math.max(Math.floor(limit / lotSize) * lotSize, lotSize);
+};
+
+// Market orders closing whatever is still open on a position and not already
+// being exited, split to stay within the per-order limits
+const placeExits = async (position) => {
+    const quantity = Math.abs(position.netQuantity) - await getExitingQuantity(position);
+    const sliceQuantity = getExitSliceQuantity(position);
+
+    const orders = [];
+    for (let remaining = quantity; remaining > 0; remaining -= sliceQuantity) {
+        const { order, error } = await placeOrder({
+            userId: position.userId,
+            symbol: position.symbol,
+            exchange: position.exchange,
+            quantity: Math.min(remaining, sliceQuantity),
+            transactionType: position.netQuantity > 0 ? "SELL" : "BUY",
+            orderType: "MARKET",
+            validity: "DAY",
+            product: "MIS",
+            tags: [AUTO_SQUARE_OFF_TAG],
+            actor: "SYSTEM"
+        });
+        if (error) {
+            console.error(`Auto Square-off Error for ${position.symbol}:`, error.message);
+            break;
+        }
+        orders.push(order);
+    }
+    return orders;
+};
+
+const toCancelledOrderJSON = (order) => ({
+    orderId: order._id,
+    symbol: order.symbol,
+    transactionType: order.transactionType,
+    orderType: order.orderType,
+    variety: order.variety,
+    quantity: order.quantity,
+    filledQuantity: order.filledQuantity,
+    previousStatus: order.status
+});
+
+const toClosedPositionJSON = (before, after, exitOrders) => ({
+    positionId: before._id,
+    symbol: before.symbol,
+    exchange: before.exchange,
+    netQuantity: before.netQuantity,
+    remainingQuantity: after ? after.netQuantity : 0,
+    exitOrders: exitOrders.map((exitOrder) => ({
+        orderId: exitOrder._id,
+        transactionType: exitOrder.transactionType,
+        quantity: exitOrder.quantity,
+        status: exitOrder.status,
+        averagePrice: exitOrder.averagePrice,
+        rejectionReason: exitOrder.rejectionReason
+    })),
+    realizedProfitLoss: after ? after.realizedProfitLoss : before.realizedProfitLoss,
+    charges: after ? after.charges : before.charges,
+    netRealizedProfitLoss: after ? after.netRealizedProfitLoss : before.netRealizedProfitLoss
+});
+
+// Close out intraday trading on one exchange: cancel open MIS orders, then send
+// market exits for every MIS position still open. Resolves to a summary per user.
+const squareOffExchange = async (exchange, at = new Date()) => {
+    const openPositions = (await PositionsModel.find({ exchange, product: "MIS" }))
+        .filter((position) => position.netQuantity !== 0);
+    const cancelledOrders = await cancelOpenOrders(exchange);
+
+    const summaries = new Map();
+    const summaryFor = (userId) => {
+        const key = String(userId);
+        if (!summaries.has(key)) {
+            summaries.set(key, {
+                exchange,
+                squaredOffAt: at,
+                cancelledOrders: [],
+                positions: []
+            });
+        }
+        return summaries.get(key);
+    };
+
+    cancelledOrders.forEach((order) => {
+        summaryFor(order.userId).cancelledOrders.push(toCancelledOrderJSON(order));
+    });
+
+    // Exiting a bracket may already have closed its position, or be closing it
+    for (const before of openPositions) {
+        const current = await PositionsModel.findById(before._id);
+        const exitOrders = current && current.netQuantity !== 0 ? await placeExits(current) : [];
+        const after = await PositionsModel.findById(before._id);
+        summaryFor(before.userId).positions.push(toClosedPositionJSON(before, after, exitOrders));
+    }
+
+    summaries.forEach((summary) => {
+        summary.realizedProfitLoss = round(summary.positions.reduce((sum, position) => sum + position.realizedProfitLoss, 0));
+        summary.charges = round(summary.positions.reduce((sum, position) => sum + position.charges, 0));
+        summary.netRealizedProfitLoss = round(summary.realizedProfitLoss - summary.charges);
+    });
+    return summaries;
+};
+
+const logSquareOffError = (error) => {
+    console.error("Auto Square-off Error:", error);
+};
+
+// Run the day's square-off for any exchange whose cut-off has passed
+const checkSquareOff = (date = new Date()) => {
+    EXCHANGES.forEach((exchange) => {
+        if (!isMarketOpen(date, exchange) || !isPastSquareOff(date, exchange)) return;
+
+        const runKey = `${exchange}:${toIST(date).dateKey}`;
+        if (completedRuns.has(runKey)) return;
+        completedRuns.add(runKey);
+
+        enqueue(() => squareOffExchange(exchange, new Date(date)))
+            .then((summaries) => {
+                console.log(`🔚 MIS square-off done on ${exchange} for ${summaries.size} users`);
+                summaries.forEach((summary, userId) => {
+                    squareOffEvents.emit("summary", { userId, summary });
+                });
+            })
+            .catch(logSquareOffError);
+    });
+};
+
+const startAutoSquareOff = (intervalMs = 15000) => {
+    checkSquareOff();
+    squareOffTimer = setInterval(() => checkSquareOff(), intervalMs);
+};
+
+const stopAutoSquareOff = () => {
+    clearInterval(squareOffTimer);
+    squareOffTimer = null;
+    completedRuns.clear();
+};
+
+module.exports = {
+    squareOffEvents,
+    AUTO_SQUARE_OFF_TAG,
+    squareOffExchange,
+    checkSquareOff,
+    startAutoSquareOff,
+    stopAutoSquareOff
+};
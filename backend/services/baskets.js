@@ -0,0 +1,186 @@
+const { validateOrderTemplate, toOrderParams } = require("./orderTemplates");
+const { checkOrder, placeOrder } = require("./orderPlacement");
+const { cancelOrder } = require("./orderExecution");
+const { exitBracket } = require("./bracketOrders");
+const { checkHoldingsForSell } = require("./portfolioSettlement");
+const { getReferencePrice } = require("./margins");
+const { previewOrdersMargin } = require("./funds");
+const { calculateCharges } = require("./charges");
+
+const round = (value) => Number(value.toFixed(2));
+
+const toTemplate = (item) => (typeof item.toObject === "function" ? item.toObject() : item);
+
+// Validate one basket item and run the same checks order placement would.
+// `basketSells` holds the CNC sell quantity of earlier legs per symbol, which
+// the holdings have to cover as well. Returns { params } when the leg can be
+// placed, otherwise { errors } or { error }.
+const checkLeg = async (userId, item, basketSells) => {
+    const errors = await validateOrderTemplate(toTemplate(item));
+    if (errors.length > 0) return { errors };
+
+    const params = { userId, ...toOrderParams(toTemplate(item)) };
+    const { error, rejectionReason } = await checkOrder(params);
+    if (error) return { error: error.message };
+    if (rejectionReason) return { error: rejectionReason };
+
+    const isBracket = params.variety === "bo" || params.variety === "co";
+    params.product = isBracket ? "MIS" : params.product || "CNC";
+
+    if (params.product === "CNC" && params.transactionType === "SELL") {
+        const symbol = params.symbol.toUpperCase();
+        const earlierSells = basketSells.get(symbol) || 0;
+        const holdingsReason = earlierSells > 0
+            ? await checkHoldingsForSell({ ...params, quantity: params.quantity + earlierSells })
+            : null;
+        if (holdingsReason) return { error: holdingsReason };
+        basketSells.set(symbol, earlierSells + params.quantity);
+    }
+    return { params };
+};
+
+const checkLegs = async (userId, items) => {
+    const basketSells = new Map();
+    const checks = [];
+    for (const item of items) {
+        checks.push(await checkLeg(userId, item, basketSells));
+    }
+    return checks;
+};
+
+const legSummary = (item, index) => ({
+    index,
+    name: item.name,
+    qty: item.qty,
+    mode: item.mode,
+    orderType: item.orderType,
+    product: item.product
+});
+
+// Margin and charges for every leg and for the basket as a whole
+const previewBasket = async (userId, items) => {
+    // A market leg can only be priced off a live quote
+    const checks = (await checkLegs(userId, items)).map((check) => (
+        check.params && !getReferencePrice(check.params)
+            ? { error: `No quote available for ${check.params.symbol}; cannot estimate margin for a market order` }
+            : check
+    ));
+
+    const validParams = checks.filter((check) => check.params).map((check) => check.params);
+    const { legs: margins, total } = await previewOrdersMargin(userId, validParams);
+
+    let validIndex = 0;
+    const legs = items.map((item, index) => {
+        const { params, errors, error } = checks[index];
+        if (!params) {
+            return { ...legSummary(item, index), valid: false, errors, error };
+        }
+
+        const { price, orderValue, margin } = margins[validIndex++];
+        const charges = price
+            ? calculateCharges({ ...params, price })
+            : null;
+
+        return {
+            ...legSummary(item, index),
+            valid: true,
+            price,
+            orderValue,
+            margin,
+            charges
+        };
+    });
+
+    const validLegs = legs.filter((leg) => leg.valid);
+    return {
+        legs,
+        total: {
+            orderValue: total.orderValue,
+            margin: total.margin,
+            charges: round(validLegs.reduce((sum, leg) => sum + (leg.charges ? leg.charges.total : 0), 0))
+        },
+        allValid: validLegs.length === legs.length
+    };
+};
+
+// Undo the open part of legs already placed when an all-or-nothing basket fails.
+// Quantity that has already traded cannot be taken back.
+const rollBack = async (legs) => {
+    for (const leg of legs.filter((l) => l.orderId)) {
+        const undone = leg.variety === "bo" || leg.variety === "co"
+            ? await exitBracket(leg.orderId, "Basket rolled back")
+            : await cancelOrder(leg.orderId, "Basket rolled back", "USER");
+        if (undone) {
+            leg.status = undone.status;
+            leg.rolledBack = true;
+        }
+    }
+};
+
+// Place every leg in order. With allOrNothing, nothing is placed unless every leg
+// passes the pre-trade checks, and the basket stops and rolls back open legs as
+// soon as one leg is rejected.
+const placeBasket = async (userId, items, { allOrNothing = false } = {}) => {
+    const checks = await checkLegs(userId, items);
+
+    if (allOrNothing && checks.some((check) => !check.params)) {
+        return {
+            success: false,
+            allOrNothing,
+            legs: items.map((item, index) => ({
+                ...legSummary(item, index),
+                status: checks[index].params ? "NOT_PLACED" : "FAILED",
+                errors: checks[index].errors,
+                error: checks[index].error
+            }))
+        };
+    }
+
+    const legs = [];
+    let failed = false;
+    for (const [index, item] of items.entries()) {
+        const summary = legSummary(item, index);
+        const check = checks[index];
+
+        if (failed) {
+            legs.push({ ...summary, status: "NOT_PLACED" });
+            continue;
+        }
+        if (!check.params) {
+            legs.push({ ...summary, status: "FAILED", errors: check.errors, error: check.error });
+            continue;
+        }
+
+        const { order, error } = await placeOrder(check.params);
+        if (error) {
+            legs.push({ ...summary, status: "FAILED", error: error.message });
+        } else {
+            legs.push({
+                ...summary,
+                orderId: order._id,
+                variety: order.variety,
+                status: order.status,
+                filledQuantity: order.filledQuantity,
+                averagePrice: order.averagePrice,
+                rejectionReason: order.rejectionReason
+            });
+        }
+
+        const latest = legs[legs.length - 1];
+        if (allOrNothing && (latest.status === "FAILED" || latest.status === "REJECTED")) {
+            failed = true;
+            await rollBack(legs.slice(0, -1));
+        }
+    }
+
+    return {
+        success: legs.every((leg) => leg.orderId && leg.status !== "REJECTED"),
+        allOrNothing,
+        legs
+    };
+};
+
+module.exports = {
+    previewBasket,
+    placeBasket
+};
@@ -0,0 +1,264 @@
+const { OrdersModel } = require("../models/OrdersModel");
+const marketData = require("./marketData");
+const { createTaskQueue } = require("./taskQueue");
+const { findInstrument } = require("./instruments");
+const { executionEvents, cancelOrder, modifyOrder } = require("./orderExecution");
+const { placeOrder } = require("./orderPlacement");
+
+// Leg bookkeeping for one bracket/cover order runs one step at a time, so a
+// fill, an exit and a trailing update never act on stale leg quantities.
+const enqueue = createTaskQueue();
+
+const WORKING_STATUSES = ["PENDING", "TRIGGER_PENDING", "OPEN"];
+const EXIT_TAG = "EXIT";
+
+// symbol -> Set of bracket entry ids whose stop-loss leg trails the price
+const trailingParents = new Map();
+const trailQueued = new Set();
+
+const roundToTick = (value, tickSize) => Number((Math.round(value / tickSize) * tickSize).toFixed(2));
+
+const opposite = (transactionType) => (transactionType === "BUY" ? "SELL" : "BUY");
+
+const watchTrailing = (parent) => {
+    if (!trailingParents.has(parent.symbol)) trailingParents.set(parent.symbol, new Set());
+    trailingParents.get(parent.symbol).add(String(parent._id));
+};
+
+const unwatchTrailing = (parent) => {
+    const forSymbol = trailingParents.get(parent.symbol);
+    if (!forSymbol) return;
+    forSymbol.delete(String(parent._id));
+    if (forSymbol.size === 0) trailingParents.delete(parent.symbol);
+};
+
+const findLegs = (parentId, statuses) => {
+    const filter = { parentOrderId: parentId, tags: { $ne: EXIT_TAG } };
+    if (statuses) filter.status = { $in: statuses };
+    return OrdersModel.find(filter).sort({ createdAt: 1 });
+};
+
+// Place a leg (or a market exit) on the opposite side of the entry
+const placeLeg = (parent, quantity, { orderType, price, triggerPrice, tags, actor = "BRACKET" }) => placeOrder({
+    userId: parent.userId,
+    symbol: parent.symbol,
+    exchange: parent.exchange,
+    quantity,
+    price,
+    triggerPrice,
+    transactionType: opposite(parent.transactionType),
+    orderType,
+    validity: "DAY",
+    product: "MIS",
+    variety: parent.variety,
+    parentOrderId: parent._id,
+    tags,
+    actor
+});
+
+// Target and stop-loss prices for a bracket, measured from the entry fill price
+const bracketPrices = (parent, fillPrice) => {
+    const { tickSize } = findInstrument(parent.symbol, parent.exchange) || { tickSize: 0.05 };
+    const direction = parent.transactionType === "BUY" ? 1 : -1;
+    return {
+        target: roundToTick(fillPrice + direction * parent.squareOff, tickSize),
+        stop: roundToTick(fillPrice - direction * parent.stopLoss, tickSize)
+    };
+};
+
+// New legs protecting `quantity` of the entry
+const placeLegs = async (parent, quantity, fillPrice) => {
+    if (parent.variety === "co") {
+        await placeLeg(parent, quantity, { orderType: "SL-M", triggerPrice: parent.triggerPrice });
+        return;
+    }
+
+    const { target, stop } = bracketPrices(parent, fillPrice);
+    await placeLeg(parent, quantity, { orderType: "LIMIT", price: target });
+    await placeLeg(parent, quantity, { orderType: "SL-M", triggerPrice: stop });
+    if (parent.trailingStopLoss) watchTrailing(parent);
+};
+
+// Entry filled: grow the working legs, or place fresh ones if none are working
+const onEntryFill = async (parent, quantity, price) => {
+    // The exit already squared off everything the entry filled
+    if (parent.exitedAt) return;
+
+    const legs = await findLegs(parent._id, WORKING_STATUSES);
+    if (legs.length === 0) {
+        await placeLegs(parent, quantity, price);
+        return;
+    }
+
+    for (const leg of legs) {
+        await modifyOrder(leg._id, { quantity: leg.quantity + quantity }, "BRACKET");
+    }
+};
+
+// A leg filled: its sibling no longer has anything to protect for that quantity
+const onLegFill = async (leg, quantity) => {
+    const siblings = await OrdersModel.find({
+        parentOrderId: leg.parentOrderId,
+        _id: { $ne: leg._id },
+        tags: { $ne: EXIT_TAG },
+        status: { $in: WORKING_STATUSES }
+    });
+
+    for (const sibling of siblings) {
+        const remaining = sibling.quantity - quantity;
+        if (remaining <= sibling.filledQuantity) {
+            await cancelOrder(sibling._id, "Sibling leg executed", "BRACKET");
+        } else {
+            await modifyOrder(sibling._id, { quantity: remaining }, "BRACKET");
+        }
+    }
+
+    const workingLegs = await findLegs(leg.parentOrderId, WORKING_STATUSES);
+    if (workingLegs.length === 0) {
+        const parent = await OrdersModel.findById(leg.parentOrderId);
+        if (parent) unwatchTrailing(parent);
+    }
+};
+
+const onFill = ({ order, quantity, price }) => {
+    if (!order.isBracket() || order.tags.includes(EXIT_TAG)) return;
+
+    const task = order.parentOrderId
+        ? enqueue(() => onLegFill(order, quantity))
+        : enqueue(async () => onEntryFill(await OrdersModel.findById(order._id), quantity, price));
+
+    task.catch((error) => {
+        console.error(`Bracket Order Error for ${order._id}:`, error);
+    });
+};
+
+// A cover order's stop-loss trigger is set on its entry; moving it there moves
+// the working stop-loss leg too
+const onModify = ({ order, changes }) => {
+    if (order.variety !== "co" || order.parentOrderId) return;
+    const trigger = changes.find((change) => change.field === "triggerPrice");
+    if (!trigger) return;
+
+    enqueue(async () => {
+        const legs = await findLegs(order._id, WORKING_STATUSES);
+        for (const leg of legs) {
+            await modifyOrder(leg._id, { triggerPrice: trigger.to }, "BRACKET");
+        }
+    }).catch((error) => {
+        console.error(`Bracket Order Error for ${order._id}:`, error);
+    });
+};
+
+// Cancel the entry and every working leg, then square off whatever is still open.
+// Works from the entry or any of its legs; resolves to the entry, or null if the
+// order is not part of a bracket/cover order.
+const exitBracket = (orderId, reason = "Bracket order exited", actor = "USER") => enqueue(async () => {
+    const order = await OrdersModel.findById(orderId);
+    if (!order || !order.isBracket()) return null;
+
+    const parent = order.parentOrderId ? await OrdersModel.findById(order.parentOrderId) : order;
+    if (!parent) return null;
+
+    parent.exitedAt = parent.exitedAt || new Date();
+    await parent.save();
+    unwatchTrailing(parent);
+
+    if (WORKING_STATUSES.includes(parent.status)) {
+        await cancelOrder(parent._id, reason, actor);
+    }
+
+    const legs = await findLegs(parent._id, WORKING_STATUSES);
+    for (const leg of legs) {
+        await cancelOrder(leg._id, reason, actor);
+    }
+
+    // Entry quantity not yet closed out by a leg, nor by an earlier exit that
+    // has filled or is still working
+    const entry = await OrdersModel.findById(parent._id);
+    const children = await OrdersModel.find({ parentOrderId: parent._id });
+    const closedQuantity = children.reduce((sum, child) => sum + child.filledQuantity, 0);
+    const exitingQuantity = children
+        .filter((child) => child.tags.includes(EXIT_TAG) && WORKING_STATUSES.includes(child.status))
+        .reduce((sum, child) => sum + child.remainingQuantity, 0);
+    const openQuantity = entry.filledQuantity - closedQuantity - exitingQuantity;
+
+    if (openQuantity > 0) {
+        await placeLeg(entry, openQuantity, { orderType: "MARKET", tags: [EXIT_TAG], actor });
+    }
+    return entry;
+});
+
+// Move a trailing stop towards the price, one trailing step at a time
+const trailStop = async (parentId, ltp) => {
+    const parent = await OrdersModel.findById(parentId);
+    if (!parent || parent.exitedAt) {
+        if (parent) unwatchTrailing(parent);
+        return;
+    }
+
+    const stopLeg = await OrdersModel.findOne({
+        parentOrderId: parent._id,
+        orderType: "SL-M",
+        tags: { $ne: EXIT_TAG },
+        status: { $in: ["PENDING", "TRIGGER_PENDING"] }
+    });
+    if (!stopLeg) return;
+
+    const { stop } = bracketPrices(parent, ltp);
+    const moved = parent.transactionType === "BUY"
+        ? stop - stopLeg.triggerPrice
+        : stopLeg.triggerPrice - stop;
+
+    if (moved >= parent.trailingStopLoss) {
+        await modifyOrder(stopLeg._id, { triggerPrice: stop }, "BRACKET");
+    }
+};
+
+const onTick = (quote) => {
+    const parents = trailingParents.get(quote.symbol);
+    if (!parents || !quote.ltp) return;
+
+    parents.forEach((parentId) => {
+        // Only one pending trail per bracket; the next tick will catch up
+        if (trailQueued.has(parentId)) return;
+        trailQueued.add(parentId);
+
+        enqueue(() => trailStop(parentId, quote.ltp))
+            .catch((error) => console.error(`Trailing Stop Error for ${parentId}:`, error))
+            .finally(() => trailQueued.delete(parentId));
+    });
+};
+
+// Resume trailing for brackets left working from a previous run
+const startBracketOrders = async () => {
+    executionEvents.on("fill", onFill);
+    executionEvents.on("modify", onModify);
+    marketData.marketEvents.on("tick", onTick);
+
+    const stopLegs = await OrdersModel.find({
+        variety: "bo",
+        orderType: "SL-M",
+        parentOrderId: { $exists: true },
+        status: { $in: WORKING_STATUSES }
+    }).select("parentOrderId");
+
+    const parents = await OrdersModel.find({
+        _id: { $in: stopLegs.map((leg) => leg.parentOrderId) },
+        trailingStopLoss: { $gt: 0 },
+        exitedAt: { $exists: false }
+    });
+    parents.forEach(watchTrailing);
+};
+
+const stopBracketOrders = () => {
+    executionEvents.off("fill", onFill);
+    executionEvents.off("modify", onModify);
+    marketData.marketEvents.off("tick", onTick);
+    trailingParents.clear();
+};
+
+module.exports = {
+    exitBracket,
+    startBracketOrders,
+    stopBracketOrders
+};
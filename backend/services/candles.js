@@ -0,0 +1,240 @@
+const { CandleModel } = require("../models/CandleModel");
+const { CANDLE_INTERVALS } = require("../schemas/CandleSchema");
+const marketData = require("./marketData");
+const { tradesBetween, nextSessionOpen } = require("./marketCalendar");
+const corporateActions = require("../config/corporateActions.json");
+
+const MINUTE = 60 * 1000;
+const INTERVAL_MS = {
+    "1m": MINUTE,
+    "5m": 5 * MINUTE,
+    "15m": 15 * MINUTE,
+    "1h": 60 * MINUTE,
+    "1d": 24 * 60 * MINUTE
+};
+
+// Buckets are aligned to Indian Standard Time so daily candles start at midnight IST
+const IST_OFFSET_MS = 330 * MINUTE;
+const MAX_CANDLES = 5000;
+
+const bucketStart = (time, interval) => {
+    const size = INTERVAL_MS[interval];
+    return new Date(Math.floor((time + IST_OFFSET_MS) / size) * size - IST_OFFSET_MS);
+};
+
+// "SYMBOL|interval" -> candle being built from live ticks
+const liveCandles = new Map();
+// Last cumulative volume seen per symbol, to turn day volume into per-tick volume
+const lastVolume = new Map();
+let flushTimer = null;
+
+// Merge a live candle into the stored one. A bucket already stored (e.g. before
+// a restart) keeps its open and widens its range, and only the volume traded
+// since the last write is added.
+const saveCandle = (candle) => {
+    const volume = candle.unsavedVolume;
+    candle.unsavedVolume = 0;
+
+    return CandleModel.updateOne(
+        { symbol: candle.symbol, interval: candle.interval, timestamp: candle.timestamp },
+        {
+            $setOnInsert: { open: candle.open },
+            $max: { high: candle.high },
+            $min: { low: candle.low },
+            $set: { close: candle.close },
+            $inc: { volume }
+        },
+        { upsert: true }
+    ).catch((error) => {
+        candle.unsavedVolume += volume;
+        candle.dirty = true;
+        throw error;
+    });
+};
+
+const tickVolume = (quote) => {
+    if (typeof quote.volume !== "number") return quote.lastTradedQty || 0;
+
+    const previous = lastVolume.get(quote.symbol);
+    lastVolume.set(quote.symbol, quote.volume);
+    // A drop in cumulative volume means a new trading day started
+    if (previous === undefined || quote.volume < previous) return quote.volume;
+    return quote.volume - previous;
+};
+
+// Fold a tick into every interval; completed candles are written out
+const onTick = (quote) => {
+    const time = new Date(quote.timestamp).getTime();
+    const volume = tickVolume(quote);
+
+    CANDLE_INTERVALS.forEach((interval) => {
+        const key = `${quote.symbol}|${interval}`;
+        const timestamp = bucketStart(time, interval);
+        let candle = liveCandles.get(key);
+
+        if (candle && candle.timestamp.getTime() !== timestamp.getTime()) {
+            saveCandle(candle).catch((error) => console.error("Candle Save Error:", error));
+            candle = null;
+        }
+
+        if (!candle) {
+            candle = {
+                symbol: quote.symbol,
+                interval,
+                timestamp,
+                open: quote.ltp,
+                high: quote.ltp,
+                low: quote.ltp,
+                close: quote.ltp,
+                unsavedVolume: 0,
+                dirty: true
+            };
+            liveCandles.set(key, candle);
+        }
+
+        candle.high = Math.max(candle.high, quote.ltp);
+        candle.low = Math.min(candle.low, quote.ltp);
+        candle.close = quote.ltp;
+        candle.unsavedVolume += volume;
+        candle.dirty = true;
+    });
+};
+
+// Persist in-progress candles so history includes the current bar
+const flushLiveCandles = async () => {
+    const dirty = Array.from(liveCandles.values()).filter((candle) => candle.dirty);
+    dirty.forEach((candle) => {
+        candle.dirty = false;
+    });
+    await Promise.all(dirty.map(saveCandle));
+};
+
+const startCandleBuilder = (flushIntervalMs = 5000) => {
+    marketData.marketEvents.on("tick", onTick);
+    flushTimer = setInterval(() => {
+        flushLiveCandles().catch((error) => console.error("Candle Flush Error:", error));
+    }, flushIntervalMs);
+};
+
+const stopCandleBuilder = async () => {
+    marketData.marketEvents.off("tick", onTick);
+    clearInterval(flushTimer);
+    await flushLiveCandles();
+};
+
+// Price multiplier for candles before an action's ex-date.
+// BONUS ratio [a, b]: a new shares for every b held.
+// SPLIT ratio [from, to]: face value goes from `from` to `to`.
+// DIVIDEND amount: cash per share, scaled against the previous close.
+const adjustmentFactor = (action, previousClose) => {
+    switch (action.type) {
+        case "BONUS": {
+            const [bonus, held] = action.ratio;
+            return held / (bonus + held);
+        }
+        case "SPLIT": {
+            const [from, to] = action.ratio;
+            return to / from;
+        }
+        case "DIVIDEND":
+            return previousClose ? (previousClose - action.amount) / previousClose : 1;
+        default:
+            return 1;
+    }
+};
+
+// Back-adjust prices (and volumes for bonus/split) for corporate actions
+const adjustCandles = (symbol, candles) => {
+    const actions = corporateActions
+        .filter((action) => action.symbol === symbol)
+        .sort((a, b) => new Date(b.exDate) - new Date(a.exDate));
+
+    let adjusted = candles.map((candle) => ({ ...candle }));
+    actions.forEach((action) => {
+        const exDate = new Date(action.exDate);
+        const before = adjusted.filter((candle) => candle.timestamp < exDate);
+        if (before.length === 0) return;
+
+        const factor = adjustmentFactor(action, before[before.length - 1].close);
+        const volumeFactor = action.type === "DIVIDEND" ? 1 : 1 / factor;
+
+        adjusted = adjusted.map((candle) => candle.timestamp < exDate
+            ? {
+                ...candle,
+                open: Number((candle.open * factor).toFixed(2)),
+                high: Number((candle.high * factor).toFixed(2)),
+                low: Number((candle.low * factor).toFixed(2)),
+                close: Number((candle.close * factor).toFixed(2)),
+                volume: Math.round(candle.volume * volumeFactor)
+            }
+            : candle);
+    });
+    return adjusted;
+};
+
+// Fill buckets the market traded in but no candle was stored for with flat,
+// zero-volume candles at the previous close. Nights, weekends and holidays
+// are left out.
+const fillGaps = (candles, interval, exchange = "NSE") => {
+    const size = INTERVAL_MS[interval];
+    const filled = [];
+
+    candles.forEach((candle) => {
+        const previous = filled[filled.length - 1];
+        if (previous) {
+            let time = previous.timestamp.getTime() + size;
+            while (time < candle.timestamp.getTime()) {
+                if (tradesBetween(new Date(time), new Date(time + size), exchange)) {
+                    filled.push({
+                        symbol: candle.symbol,
+                        interval,
+                        timestamp: new Date(time),
+                        open: previous.close,
+                        high: previous.close,
+                        low: previous.close,
+                        close: previous.close,
+                        volume: 0
+                    });
+                    time += size;
+                } else {
+                    // Skip straight to the bucket the next session opens in
+                    const nextOpen = nextSessionOpen(new Date(time), exchange);
+                    if (!nextOpen) break;
+                    time = Math.max(bucketStart(nextOpen.getTime(), interval).getTime(), time + size);
+                }
+            }
+        }
+        filled.push(candle);
+    });
+    // Past the cap, the most recent candles are the ones kept
+    return filled.slice(-MAX_CANDLES);
+};
+
+// Stored candles for a symbol between two dates, oldest first; the most
+// recent ones when there are more than the cap
+const getHistoricalCandles = async (symbol, interval, from, to, { continuous = false, adjusted = false, exchange = "NSE" } = {}) => {
+    let candles = (await CandleModel.find({
+        symbol,
+        interval,
+        timestamp: { $gte: from, $lte: to }
+    })
+        .sort({ timestamp: -1 })
+        .limit(MAX_CANDLES)
+        .select("symbol interval timestamp open high low close volume -_id")
+        .lean())
+        .reverse();
+
+    if (adjusted) candles = adjustCandles(symbol, candles);
+    if (continuous) candles = fillGaps(candles, interval, exchange);
+    return candles;
+};
+
+module.exports = {
+    CANDLE_INTERVALS,
+    bucketStart,
+    adjustCandles,
+    fillGaps,
+    getHistoricalCandles,
+    startCandleBuilder,
+    stopCandleBuilder
+};
@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CHARGES_FILE = path.join(__dirname, "../config/charges.json");
+
+let rateVersions = null;
+
+// Rate sets are versioned by the date they take effect, so trades are always
+// charged at the rates in force when they happened
+const loadChargeRates = (filePath = process.env.CHARGES_FILE || DEFAULT_CHARGES_FILE) => {
+    const config = JSON.parse(fs.readFileSync(path.resolve(filePath), "utf8"));
+    rateVersions = config.versions
+        .map((entry) => ({ ...entry, effectiveFrom: new Date(`${entry.effectiveFrom}T00:00:00+05:30`) }))
+        .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+    return rateVersions;
+};
+
+// The rate set in force on a date (the earliest one for dates before any version)
+const getChargeRates = (date = new Date()) => {
+    const versions = rateVersions || loadChargeRates();
+    const applicable = versions.filter((entry) => entry.effectiveFrom <= date);
+    return applicable.length > 0 ? applicable[applicable.length - 1] : versions[0];
+};
+
+const round = (value) => Number(value.toFixed(2));
+
+// Brokerage and statutory charges for one trade of `quantity` at `price`.
+// Brokerage is capped per order, so a fill of an order that has already paid
+// `brokerageCharged` only pays up to what is left of the cap.
+// Equities pay STT; CTT only applies to commodities, which are not traded here.
+const calculateCharges = ({
+    product = "CNC",
+    exchange = "NSE",
+    transactionType,
+    quantity,
+    price,
+    brokerageCharged = 0,
+    date = new Date()
+}) => {
+    const { version, rates } = getChargeRates(date);
+    const turnover = quantity * price;
+
+    const brokerage = Math.min(turnover * rates.brokerage[product], Math.max(rates.brokerage.max - brokerageCharged, 0));
+    const stt = turnover * rates.stt[product][transactionType];
+    const exchangeTransactionCharges = turnover * rates.exchangeTransaction[exchange];
+    const sebiFees = turnover * rates.sebi;
+    const gst = (brokerage + exchangeTransactionCharges + sebiFees) * rates.gst;
+    // Stamp duty is only levied on the buyer
+    const stampDuty = transactionType === "BUY" ? turnover * rates.stampDuty[product] : 0;
+
+    const charges = {
+        brokerage: round(brokerage),
+        stt: round(stt),
+        exchangeTransactionCharges: round(exchangeTransactionCharges),
+        sebiFees: round(sebiFees),
+        gst: round(gst),
+        stampDuty: round(stampDuty)
+    };
+    charges.total = round(Object.values(charges).reduce((sum, value) => sum + value, 0));
+    charges.version = version;
+    return charges;
+};
+
+module.exports = {
+    DEFAULT_CHARGES_FILE,
+    loadChargeRates,
+    getChargeRates,
+    calculateCharges
+};
@@ -0,0 +1,46 @@
+// Minimal CSV reader for the offline data dumps (ticks, instruments).
+// Handles a header row, quoted fields and escaped quotes ("").
+const parseLine = (line) => {
+    const values = [];
+    let current = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            values.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    values.push(current.trim());
+    return values;
+};
+
+// Returns one object per data row, keyed by the header columns
+const parseCsv = (content) => {
+    const [header, ...rows] = content.trim().split(/\r?\n/);
+    const columns = parseLine(header);
+
+    return rows.filter((row) => row.trim()).map((row) => {
+        const values = parseLine(row);
+        return columns.reduce((record, column, i) => {
+            record[column] = values[i] === undefined ? "" : values[i];
+            return record;
+        }, {});
+    });
+};
+
+module.exports = { parseCsv };
@@ -0,0 +1,126 @@
+const { PositionsModel } = require("../models/PositionsModel");
+const marketData = require("./marketData");
+const { runExclusive } = require("./executionQueue");
+const { lastSessionClose } = require("./marketCalendar");
+
+const EXCHANGES = ["NSE", "BSE"];
+
+// "exchange:date" of every trading day already rolled over by this process
+const completedRollovers = new Set();
+let rolloverTimer = null;
+
+// Carry an open position into the next day. Its legs restart from the carried
+// quantity at its average cost, so the new day's realized P&L and charges start
+// from zero; closePrice is what the day's P&L is measured from.
+const carryForward = (position, closedAt) => {
+    const net = position.netQuantity;
+    const averagePrice = position.averageBuySellPrice;
+    const closePrice = marketData.getLTP(position.symbol) || position.lastTradedPrice;
+
+    position.overnight = true;
+    position.overnightQuantity = net;
+    position.overnightAveragePrice = averagePrice;
+    position.closePrice = closePrice;
+
+    position.buyQuantity = Math.max(net, 0);
+    position.buyValue = position.buyQuantity * averagePrice;
+    position.buyAveragePrice = net > 0 ? averagePrice : 0;
+    position.sellQuantity = Math.max(-net, 0);
+    position.sellValue = position.sellQuantity * averagePrice;
+    position.sellAveragePrice = net < 0 ? averagePrice : 0;
+    position.realizedProfitLoss = 0;
+    position.charges = 0;
+    position.openPrice = undefined;
+    position.highPrice = undefined;
+    position.lowPrice = undefined;
+
+    // The round trip carries on from what was carried in
+    position.openedAt = position.openedAt || position.createdAt;
+    position.openBaseline = { buyQuantity: 0, buyValue: 0, sellQuantity: 0, sellValue: 0, charges: 0 };
+
+    position.quantity = net;
+    position.averagePrice = averagePrice;
+    position.lastTradedPrice = closePrice;
+    position.rolledOverAt = closedAt;
+    position.updateMarketPrice(closePrice);
+};
+
+// Close the books on a trading day for one exchange. Flat positions are done
+// with (their round trips are already archived), CNC positions only mirror
+// delivery quantity that is already in holdings, and everything still open is
+// carried forward as an overnight position. Runs on the execution engine's
+// queue, so a catch-up rollover during a session never crosses a fill.
+const rollOverExchange = (exchange, { dateKey, closedAt }) => runExclusive(async () => {
+    const positions = await PositionsModel.find({
+        exchange,
+        createdAt: { $lt: closedAt },
+        $or: [
+            { rolledOverAt: { $exists: false } },
+            { rolledOverAt: { $lt: closedAt } }
+        ]
+    });
+
+    const result = { exchange, dateKey, carried: 0, closed: 0, delivered: 0 };
+    for (const position of positions) {
+        if (position.product === "CNC") {
+            await position.deleteOne();
+            result.delivered += 1;
+        } else if (position.netQuantity === 0) {
+            await position.deleteOne();
+            result.closed += 1;
+        } else {
+            if (position.product === "MIS") {
+                console.warn(`⚠️  MIS position ${position._id} (${position.symbol}) survived the square-off; carrying it forward`);
+            }
+            carryForward(position, closedAt);
+            await position.save();
+            result.carried += 1;
+        }
+    }
+    return result;
+});
+
+const logRolloverError = (error) => {
+    console.error("End of Day Error:", error);
+};
+
+// Roll over the last trading day to have ended on each exchange, once.
+// Positions already rolled past that close are left alone, so catching up
+// after a restart is safe.
+const checkRollover = (date = new Date()) => {
+    EXCHANGES.forEach((exchange) => {
+        const lastClose = lastSessionClose(date, exchange);
+        if (!lastClose) return;
+
+        const runKey = `${exchange}:${lastClose.dateKey}`;
+        if (completedRollovers.has(runKey)) return;
+        completedRollovers.add(runKey);
+
+        rollOverExchange(exchange, lastClose)
+            .then(({ carried, closed, delivered }) => {
+                console.log(`🌙 ${exchange} rolled over ${lastClose.dateKey}: ${carried} carried, ${closed} closed, ${delivered} delivered`);
+            })
+            .catch((error) => {
+                completedRollovers.delete(runKey);
+                logRolloverError(error);
+            });
+    });
+};
+
+const startEndOfDay = (intervalMs = 60000) => {
+    checkRollover();
+    rolloverTimer = setInterval(() => checkRollover(), intervalMs);
+};
+
+const stopEndOfDay = () => {
+    clearInterval(rolloverTimer);
+    rolloverTimer = null;
+    completedRollovers.clear();
+};
+
+module.exports = {
+    rollOverExchange,
+    checkRollover,
+    startEndOfDay,
+    stopEndOfDay
+};
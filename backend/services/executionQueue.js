@@ -0,0 +1,9 @@
+const { createTaskQueue } = require("./taskQueue");
+
+// The execution engine's queue. Fills, and anything else that reads and writes
+// the holdings and positions they book into, run through it one at a time.
+// Kept apart from the engine so services it depends on can use it too; a task
+// must not wait on the engine itself.
+const runExclusive = createTaskQueue();
+
+module.exports = { runExclusive };
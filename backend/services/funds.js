@@ -0,0 +1,394 @@
+const { FundsModel } = require("../models/FundsModel");
+const { LedgerEntryModel } = require("../models/LedgerEntryModel");
+const { OrdersModel } = require("../models/OrdersModel");
+const { HoldingsModel } = require("../models/HoldingsModel");
+const { PositionsModel } = require("../models/PositionsModel");
+const { createTaskQueue } = require("./taskQueue");
+const { executionEvents } = require("./orderExecution");
+const { calculateOrderMargin, calculateOrdersMargin } = require("./margins");
+
+// Every change to an account runs through one queue, so two orders can never
+// both pass the funds check against the same available margin
+const enqueue = createTaskQueue();
+
+// New accounts start with this much cash (OPENING_BALANCE overrides it)
+const DEFAULT_OPENING_BALANCE = 100000;
+const OPEN_STATUSES = ["AMO_RECEIVED", "PENDING", "TRIGGER_PENDING", "OPEN"];
+
+const round = (value) => Number(value.toFixed(2));
+
+const getOpeningBalance = () => {
+    const value = Number(process.env.OPENING_BALANCE);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_OPENING_BALANCE;
+};
+
+// Apply one movement to the account and write it to the ledger.
+// Cash entries move the balance; margin entries move the blocked margin.
+const postEntry = async (account, { type, amount, orderId, symbol, description }) => {
+    if (type === "MARGIN_BLOCKED") {
+        account.blockedMargin = round(account.blockedMargin + amount);
+    } else if (type === "MARGIN_RELEASED") {
+        account.blockedMargin = round(Math.max(account.blockedMargin - amount, 0));
+    } else {
+        account.balance = round(account.balance + amount);
+    }
+    await account.save();
+
+    return LedgerEntryModel.create({
+        userId: account.userId,
+        type,
+        amount: round(amount),
+        balance: account.balance,
+        blockedMargin: account.blockedMargin,
+        orderId,
+        symbol,
+        description
+    });
+};
+
+// The user's account, opened with the opening balance on first use
+const getAccount = async (userId) => {
+    const existing = await FundsModel.findOne({ userId });
+    if (existing) return existing;
+
+    const openingBalance = getOpeningBalance();
+    const account = await FundsModel.create({ userId, openingBalance });
+    await postEntry(account, {
+        type: "OPENING_BALANCE",
+        amount: openingBalance,
+        description: "Opening balance"
+    });
+    return account;
+};
+
+// Margin held by what the user already owns: holdings at cost, positions at
+// the margin their product needs
+const getUtilisedMargin = async (userId) => {
+    const holdings = await HoldingsModel.find({ userId }).select("symbol quantity t1Quantity averageBuyPrice");
+    const positions = await PositionsModel.find({ userId });
+
+    const holdingMargin = holdings.reduce((sum, holding) => sum + calculateOrderMargin({
+        symbol: holding.symbol,
+        product: "CNC",
+        transactionType: "BUY",
+        orderType: "LIMIT",
+        quantity: holding.quantity + (holding.t1Quantity || 0),
+        price: holding.averageBuyPrice
+    }).margin, 0);
+
+    // CNC positions (converted in during the day) are already counted in holdings
+    const positionMargin = positions
+        .filter((position) => position.product !== "CNC" && position.netQuantity !== 0)
+        .reduce((sum, position) => sum + calculateOrderMargin({
+            symbol: position.symbol,
+            product: position.product,
+            transactionType: position.netQuantity > 0 ? "BUY" : "SELL",
+            orderType: "LIMIT",
+            quantity: Math.abs(position.netQuantity),
+            price: position.averageBuySellPrice
+        }).margin, 0);
+
+    return round(holdingMargin + positionMargin);
+};
+
+const toBalance = (account, utilisedMargin) => {
+    const availableMargin = round(account.balance - account.blockedMargin - utilisedMargin);
+    return {
+        openingBalance: account.openingBalance,
+        balance: account.balance,
+        blockedMargin: account.blockedMargin,
+        utilisedMargin,
+        availableMargin,
+        withdrawable: Math.max(availableMargin, 0)
+    };
+};
+
+const getBalance = (userId) => enqueue(async () => {
+    const account = await getAccount(userId);
+    return toBalance(account, await getUtilisedMargin(userId));
+});
+
+// Quantity of a MIS/NRML order that only closes an open position needs no margin
+const getMarginQuantity = async (order) => {
+    if (order.product === "CNC") return order.quantity;
+
+    const position = await PositionsModel.findOne({
+        userId: order.userId,
+        symbol: order.symbol,
+        product: order.product
+    });
+    if (!position) return order.quantity;
+
+    const closing = (position.netQuantity > 0 && order.transactionType === "SELL")
+        || (position.netQuantity < 0 && order.transactionType === "BUY");
+    return closing ? Math.max(order.quantity - Math.abs(position.netQuantity), 0) : order.quantity;
+};
+
+const toParams = (order) => (typeof order.toObject === "function" ? order.toObject() : order);
+
+// Margin the whole order needs to be accepted
+const getOrderMargin = async (order) => {
+    const quantity = await getMarginQuantity(order);
+    if (quantity === 0) return 0;
+    return calculateOrderMargin({ ...toParams(order), quantity }).margin;
+};
+
+// Margin preview for a user's orders, netted against open positions the same
+// way acceptance nets them
+const previewOrdersMargin = async (userId, orders) => {
+    const margined = [];
+    for (const order of orders) {
+        margined.push({ ...order, marginQuantity: await getMarginQuantity({ userId, ...order }) });
+    }
+    return calculateOrdersMargin(margined);
+};
+
+const insufficientFunds = (required, available) =>
+    `Insufficient funds: margin required ${round(required)}, available ${round(Math.max(available, 0))}`;
+
+// Dry-run funds check for an order; returns a rejection reason or null
+const checkFunds = (order) => enqueue(async () => {
+    if (order.parentOrderId) return null;
+
+    const required = await getOrderMargin(order);
+    if (required === 0) return null;
+
+    const { availableMargin } = toBalance(await getAccount(order.userId), await getUtilisedMargin(order.userId));
+    return required > availableMargin ? insufficientFunds(required, availableMargin) : null;
+});
+
+// Block margin for a newly accepted order; returns a rejection reason or null.
+// Child orders (bracket legs, iceberg/TWAP slices) draw on their parent's margin.
+const blockOrderMargin = (order) => enqueue(async () => {
+    if (order.parentOrderId) return null;
+
+    const required = await getOrderMargin(order);
+    if (required === 0) return null;
+
+    const account = await getAccount(order.userId);
+    const { availableMargin } = toBalance(account, await getUtilisedMargin(order.userId));
+    if (required > availableMargin) {
+        return insufficientFunds(required, availableMargin);
+    }
+
+    await postEntry(account, {
+        type: "MARGIN_BLOCKED",
+        amount: required,
+        orderId: order._id,
+        symbol: order.symbol,
+        description: `Margin blocked for ${order.transactionType} ${order.quantity} ${order.symbol}`
+    });
+    await OrdersModel.updateOne({ _id: order._id }, { $set: { marginRequired: required, blockedMargin: required } });
+    order.marginRequired = required;
+    order.blockedMargin = required;
+    return null;
+});
+
+// Extra margin a modification needs on top of what the order already holds;
+// returns a rejection reason or null
+const checkModifyFunds = (order, changes) => enqueue(async () => {
+    if (order.parentOrderId) return null;
+
+    const modified = toParams(order);
+    Object.entries(changes).forEach(([field, value]) => {
+        if (value !== undefined) modified[field] = value;
+    });
+    const quantity = modified.quantity;
+    const required = await getOrderMargin(modified);
+    const remaining = quantity - order.filledQuantity;
+    const extra = required * remaining / quantity - order.blockedMargin;
+    if (extra <= 0) return null;
+
+    const { availableMargin } = toBalance(await getAccount(order.userId), await getUtilisedMargin(order.userId));
+    return extra > availableMargin ? insufficientFunds(extra, availableMargin) : null;
+});
+
+// Extra margin needed to move part of a position to another product;
+// returns a rejection reason or null
+const checkConversionFunds = ({ userId, symbol, transactionType, quantity, price, fromProduct, toProduct }) => enqueue(async () => {
+    const marginFor = (product) => calculateOrderMargin({
+        symbol,
+        product,
+        transactionType,
+        orderType: "LIMIT",
+        quantity,
+        price
+    }).margin;
+
+    const extra = marginFor(toProduct) - marginFor(fromProduct);
+    if (extra <= 0) return null;
+
+    const { availableMargin } = toBalance(await getAccount(userId), await getUtilisedMargin(userId));
+    return extra > availableMargin ? insufficientFunds(extra, availableMargin) : null;
+});
+
+// Bring the margin blocked on an order in line with what is still open:
+// filled quantity moves over to the position/holding, closed orders hold nothing
+const syncOrderMargin = async (orderId, { recalculate = false } = {}) => {
+    const order = await OrdersModel.findById(orderId);
+    if (!order || order.parentOrderId) return;
+
+    const isOpen = OPEN_STATUSES.includes(order.status);
+    const previousRequired = order.marginRequired;
+    if (recalculate && isOpen) {
+        order.marginRequired = await getOrderMargin(order);
+    }
+
+    const target = isOpen
+        ? round(order.marginRequired * order.remainingQuantity / order.quantity)
+        : 0;
+    const difference = round(target - order.blockedMargin);
+    if (difference === 0 && order.marginRequired === previousRequired) return;
+
+    if (difference !== 0) {
+        const account = await getAccount(order.userId);
+        await postEntry(account, {
+            type: difference > 0 ? "MARGIN_BLOCKED" : "MARGIN_RELEASED",
+            amount: Math.abs(difference),
+            orderId: order._id,
+            symbol: order.symbol,
+            description: difference > 0
+                ? `Margin blocked for modified order ${order.symbol}`
+                : `Margin released for ${order.symbol} (${isOpen ? "filled" : order.status.toLowerCase()})`
+        });
+    }
+    await OrdersModel.updateOne(
+        { _id: order._id },
+        { $set: { marginRequired: order.marginRequired, blockedMargin: target } }
+    );
+};
+
+// Realized P&L and charges of a fill go to the ledger
+const bookFill = async (order, quantity, price, realizedProfitLoss, charges) => {
+    const account = await getAccount(order.userId);
+
+    if (realizedProfitLoss) {
+        await postEntry(account, {
+            type: "REALIZED_PNL",
+            amount: realizedProfitLoss,
+            orderId: order._id,
+            symbol: order.symbol,
+            description: `Realized P&L on ${order.transactionType} ${quantity} ${order.symbol} @ ${price}`
+        });
+    }
+
+    if (charges && charges.total > 0) {
+        await postEntry(account, {
+            type: "CHARGES",
+            amount: -charges.total,
+            orderId: order._id,
+            symbol: order.symbol,
+            description: `Charges on ${order.transactionType} ${quantity} ${order.symbol} @ ${price}`
+        });
+    }
+};
+
+const logFundsError = (error) => {
+    console.error("Funds Error:", error);
+};
+
+const onFill = ({ order, quantity, price, realizedProfitLoss, charges }) => {
+    enqueue(async () => {
+        await bookFill(order, quantity, price, realizedProfitLoss, charges);
+        // A slice fills against the margin blocked on its parent, which gets a
+        // fill of its own once the slice's fill is rolled up into it
+        await syncOrderMargin(order._id);
+    }).catch(logFundsError);
+};
+
+const onStatusChange = ({ order }) => {
+    if (OPEN_STATUSES.includes(order.status)) return;
+    enqueue(() => syncOrderMargin(order._id)).catch(logFundsError);
+};
+
+const onModify = ({ order }) => {
+    enqueue(() => syncOrderMargin(order._id, { recalculate: true })).catch(logFundsError);
+};
+
+const payIn = (userId, amount) => enqueue(async () => {
+    const account = await getAccount(userId);
+    const entry = await postEntry(account, {
+        type: "PAY_IN",
+        amount,
+        description: "Funds added"
+    });
+    return { entry, balance: toBalance(account, await getUtilisedMargin(userId)) };
+});
+
+// Withdraw cash that is not holding up orders or positions.
+// Resolves to { error } when the amount is more than can be withdrawn.
+const payout = (userId, amount) => enqueue(async () => {
+    const account = await getAccount(userId);
+    const before = toBalance(account, await getUtilisedMargin(userId));
+    if (amount > before.withdrawable) {
+        return {
+            error: {
+                error: "Insufficient funds",
+                message: `Only ${before.withdrawable} can be withdrawn`
+            }
+        };
+    }
+
+    const entry = await postEntry(account, {
+        type: "PAYOUT",
+        amount: -amount,
+        description: "Funds withdrawn"
+    });
+    return { entry, balance: toBalance(account, before.utilisedMargin) };
+});
+
+const toLedgerEntryJSON = (entry) => ({
+    id: entry._id,
+    type: entry.type,
+    amount: entry.amount,
+    balance: entry.balance,
+    blockedMargin: entry.blockedMargin,
+    orderId: entry.orderId,
+    symbol: entry.symbol,
+    description: entry.description,
+    createdAt: entry.createdAt
+});
+
+// Ledger entries, newest first, optionally filtered by date range and type
+const getStatement = async (userId, { from, to, type, limit = 200 } = {}) => {
+    await enqueue(() => getAccount(userId));
+
+    const filter = { userId };
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+    if (type) filter.type = type;
+
+    const entries = await LedgerEntryModel.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit);
+    return entries.map(toLedgerEntryJSON);
+};
+
+const startFunds = () => {
+    executionEvents.on("fill", onFill);
+    executionEvents.on("statusChange", onStatusChange);
+    executionEvents.on("modify", onModify);
+};
+
+const stopFunds = () => {
+    executionEvents.off("fill", onFill);
+    executionEvents.off("statusChange", onStatusChange);
+    executionEvents.off("modify", onModify);
+};
+
+module.exports = {
+    getBalance,
+    getStatement,
+    payIn,
+    payout,
+    checkFunds,
+    blockOrderMargin,
+    checkModifyFunds,
+    checkConversionFunds,
+    previewOrdersMargin,
+    startFunds,
+    stopFunds
+};
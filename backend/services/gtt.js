@@ -0,0 +1,267 @@
+const EventEmitter = require("events");
+const { GttModel } = require("../models/GttModel");
+const { OrdersModel } = require("../models/OrdersModel");
+const { MAX_GTT_VALIDITY_DAYS } = require("../schemas/GttSchema");
+const marketData = require("./marketData");
+const { createTaskQueue } = require("./taskQueue");
+const { getCurrentSession } = require("./marketCalendar");
+const { checkOrderParams, placeOrder } = require("./orderPlacement");
+
+const gttEvents = new EventEmitter();
+gttEvents.setMaxListeners(0);
+
+// Triggering, modifying and cancelling run one at a time so a GTT fires at most once
+const enqueue = createTaskQueue();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// symbol -> Map(gttId -> active GTT), so ticks never have to hit the database
+const activeGtts = new Map();
+let sweepTimer = null;
+
+const trackGtt = (gtt) => {
+    if (!activeGtts.has(gtt.symbol)) activeGtts.set(gtt.symbol, new Map());
+    activeGtts.get(gtt.symbol).set(String(gtt._id), gtt);
+};
+
+const untrackGtt = (gtt) => {
+    const forSymbol = activeGtts.get(gtt.symbol);
+    if (!forSymbol) return;
+    forSymbol.delete(String(gtt._id));
+    if (forSymbol.size === 0) activeGtts.delete(gtt.symbol);
+};
+
+const setStatus = async (gtt, status) => {
+    const previousStatus = gtt.status;
+    gtt.status = status;
+    await gtt.save();
+    untrackGtt(gtt);
+    gttEvents.emit("update", { gtt, previousStatus });
+    return gtt;
+};
+
+// Trigger, leg and expiry checks for a new or modified GTT.
+// Returns { error, message } for a 400 response, or null when the GTT is valid.
+const checkGttParams = ({ symbol, exchange, type, triggerValues, lastPrice, orders, expiresAt }) => {
+    const expectedLegs = type === "OCO" ? 2 : 1;
+    if (triggerValues.length !== expectedLegs || orders.length !== expectedLegs) {
+        return {
+            error: "Invalid GTT",
+            message: `${type} GTTs need exactly ${expectedLegs} trigger value(s) and order(s)`
+        };
+    }
+
+    if (!lastPrice) {
+        return {
+            error: "Invalid GTT",
+            message: `No market price available for ${symbol}`
+        };
+    }
+
+    if (type === "OCO") {
+        const [stopLoss, target] = triggerValues;
+        if (!(stopLoss < lastPrice && lastPrice < target)) {
+            return {
+                error: "Invalid trigger values",
+                message: `OCO stop-loss trigger must be below and target trigger above the last price (${lastPrice})`
+            };
+        }
+    } else if (triggerValues[0] === lastPrice) {
+        return {
+            error: "Invalid trigger values",
+            message: "Trigger value cannot be the same as the last price"
+        };
+    }
+
+    if (expiresAt) {
+        const expiry = new Date(expiresAt);
+        if (expiry <= new Date() || expiry > new Date(Date.now() + MAX_GTT_VALIDITY_DAYS * DAY_MS)) {
+            return {
+                error: "Invalid expiry",
+                message: `Expiry must be in the future and within ${MAX_GTT_VALIDITY_DAYS} days`
+            };
+        }
+    }
+
+    // Each leg must be an order that /orders/new would accept
+    for (const leg of orders) {
+        const legError = checkOrderParams({
+            symbol,
+            exchange,
+            quantity: leg.quantity,
+            price: leg.price,
+            orderType: leg.orderType || "LIMIT",
+            transactionType: leg.transactionType
+        });
+        if (legError) return legError;
+    }
+
+    return null;
+};
+
+// Create a GTT; resolves to { error } when invalid, otherwise { gtt }
+const createGtt = async (userId, { symbol, exchange = "NSE", type, triggerValues, orders, expiresAt }) => {
+    const upperSymbol = String(symbol).trim().toUpperCase();
+    const lastPrice = marketData.getLTP(upperSymbol);
+    const params = { symbol: upperSymbol, exchange, type, triggerValues, lastPrice, orders, expiresAt };
+
+    const error = checkGttParams(params);
+    if (error) return { error };
+
+    const gtt = new GttModel({ userId, ...params });
+    await gtt.save();
+    trackGtt(gtt);
+    gttEvents.emit("update", { gtt, previousStatus: null });
+    return { gtt };
+};
+
+// Replace the triggers, legs or expiry of an active GTT. Resolves to null when the
+// GTT no longer exists or has already fired, { error } when invalid, otherwise { gtt }.
+const modifyGtt = (gttId, userId, changes) => enqueue(async () => {
+    const gtt = await GttModel.findOne({ _id: gttId, userId });
+    if (!gtt || !gtt.isModifiable()) return null;
+
+    const params = {
+        symbol: gtt.symbol,
+        exchange: gtt.exchange,
+        type: gtt.type,
+        triggerValues: changes.triggerValues || gtt.triggerValues,
+        lastPrice: marketData.getLTP(gtt.symbol) || gtt.lastPrice,
+        orders: changes.orders || gtt.orders,
+        expiresAt: changes.expiresAt || gtt.expiresAt
+    };
+
+    const error = checkGttParams(params);
+    if (error) return { error };
+
+    gtt.set(params);
+    await gtt.save();
+    trackGtt(gtt);
+    gttEvents.emit("update", { gtt, previousStatus: gtt.status });
+    return { gtt };
+});
+
+// Cancel an active GTT; resolves to null if it can no longer be cancelled
+const cancelGtt = (gttId, userId) => enqueue(async () => {
+    const gtt = await GttModel.findOne({ _id: gttId, userId });
+    if (!gtt || !gtt.isModifiable()) return null;
+    return setStatus(gtt, "CANCELLED");
+});
+
+// Add the firing to the GTT's history and close it as TRIGGERED or REJECTED
+const recordTrigger = (gtt, leg, lastTradedPrice, order, rejectionReason) => {
+    gtt.triggerHistory.push({
+        triggerValue: gtt.triggerValues[leg],
+        lastPrice: lastTradedPrice,
+        leg,
+        orderId: order ? order._id : undefined,
+        orderStatus: order ? order.status : "REJECTED",
+        rejectionReason
+    });
+
+    const placed = order && order.status !== "REJECTED";
+    return setStatus(gtt, placed ? "TRIGGERED" : "REJECTED");
+};
+
+// Place the order for the leg whose trigger was hit and record it in the history
+const fireGtt = (gttId, leg, lastTradedPrice) => enqueue(async () => {
+    const gtt = await GttModel.findOne({
+        _id: gttId,
+        status: "ACTIVE",
+        expiresAt: { $gt: new Date() }
+    });
+    if (!gtt) return null;
+
+    const legOrder = gtt.orders[leg];
+    const { order, error } = await placeOrder({
+        userId: gtt.userId,
+        symbol: gtt.symbol,
+        exchange: gtt.exchange,
+        quantity: legOrder.quantity,
+        price: legOrder.orderType === "LIMIT" ? legOrder.price : undefined,
+        transactionType: legOrder.transactionType,
+        orderType: legOrder.orderType,
+        product: legOrder.product,
+        validity: "DAY",
+        tags: ["GTT"],
+        gttId: gtt._id,
+        actor: "GTT"
+    });
+
+    return recordTrigger(gtt, leg, lastTradedPrice, order, error ? error.message : order.rejectionReason);
+});
+
+// A firing that failed part-way leaves the GTT active but no longer watched.
+// Close it off: TRIGGERED if its order did go in, otherwise REJECTED.
+const recoverFailedTrigger = (gttId, leg, lastTradedPrice, reason) => enqueue(async () => {
+    const gtt = await GttModel.findOne({ _id: gttId, status: "ACTIVE" });
+    if (!gtt) return null;
+
+    const order = await OrdersModel.findOne({ gttId: gtt._id });
+    return recordTrigger(gtt, leg, lastTradedPrice, order, order ? order.rejectionReason : reason);
+});
+
+// GTTs only fire while the exchange is in its normal session
+const onTick = (quote) => {
+    const forSymbol = activeGtts.get(quote.symbol);
+    if (!forSymbol || !quote.ltp) return;
+
+    forSymbol.forEach((gtt) => {
+        if (getCurrentSession(new Date(), gtt.exchange) !== "normal") return;
+
+        const leg = gtt.getTriggeredLeg(quote.ltp);
+        if (leg === -1) return;
+
+        // Stop watching straight away so later ticks don't queue it again
+        untrackGtt(gtt);
+        fireGtt(gtt._id, leg, quote.ltp).catch((error) => {
+            console.error(`GTT Trigger Error for ${gtt._id}:`, error);
+            return recoverFailedTrigger(gtt._id, leg, quote.ltp, `GTT could not be triggered: ${error.message}`);
+        }).catch((error) => {
+            console.error(`GTT Recovery Error for ${gtt._id}:`, error);
+        });
+    });
+};
+
+// Expire every active GTT past its expiry date
+const sweepExpiredGtts = () => enqueue(async () => {
+    const expired = await GttModel.find({
+        status: "ACTIVE",
+        expiresAt: { $lte: new Date() }
+    });
+
+    for (const gtt of expired) {
+        await setStatus(gtt, "EXPIRED");
+    }
+    return expired.length;
+});
+
+const startGttEngine = async (sweepIntervalMs = Number(process.env.GTT_SWEEP_INTERVAL_MS) || 60 * 60 * 1000) => {
+    await sweepExpiredGtts();
+
+    const gtts = await GttModel.find({ status: "ACTIVE" });
+    activeGtts.clear();
+    gtts.forEach(trackGtt);
+
+    marketData.marketEvents.on("tick", onTick);
+    sweepTimer = setInterval(() => {
+        sweepExpiredGtts().catch((error) => console.error("GTT Sweep Error:", error));
+    }, sweepIntervalMs);
+    return gtts.length;
+};
+
+const stopGttEngine = () => {
+    marketData.marketEvents.off("tick", onTick);
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
+
+module.exports = {
+    gttEvents,
+    createGtt,
+    modifyGtt,
+    cancelGtt,
+    sweepExpiredGtts,
+    startGttEngine,
+    stopGttEngine
+};
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const path = require("path");
+const { InstrumentModel } = require("../models/InstrumentModel");
+const { parseCsv } = require("./csv");
+
+const DEFAULT_INSTRUMENTS_FILE = path.join(__dirname, "../config/instruments.csv");
+
+// "EXCHANGE:SYMBOL" -> instrument, kept in memory for fast symbol checks
+let instrumentCache = new Map();
+
+const cacheKey = (symbol, exchange) => `${exchange}:${String(symbol).trim().toUpperCase()}`;
+
+const toInstrument = (record) => ({
+    tradingsymbol: String(record.tradingsymbol).trim().toUpperCase(),
+    exchange: String(record.exchange || "NSE").trim().toUpperCase(),
+    isin: record.isin || undefined,
+    name: record.name,
+    instrumentType: record.instrumentType || "EQ",
+    sector: record.sector || undefined,
+    industry: record.industry || undefined,
+    lotSize: Number(record.lotSize) || 1,
+    tickSize: Number(record.tickSize) || 0.05,
+    tradable: record.instrumentType !== "INDEX"
+});
+
+// Read an instrument dump (.csv or .json)
+const readInstrumentsFile = (filePath) => {
+    const content = fs.readFileSync(path.resolve(filePath), "utf8");
+    const records = filePath.toLowerCase().endsWith(".csv")
+        ? parseCsv(content)
+        : JSON.parse(content);
+    return records.filter((record) => record.tradingsymbol && record.name).map(toInstrument);
+};
+
+const refreshInstrumentCache = async () => {
+    const instruments = await InstrumentModel.find().lean();
+    instrumentCache = new Map(
+        instruments.map((instrument) => [cacheKey(instrument.tradingsymbol, instrument.exchange), instrument])
+    );
+    return instrumentCache.size;
+};
+
+// Upsert every instrument from a dump into the collection
+const loadInstruments = async (filePath = DEFAULT_INSTRUMENTS_FILE) => {
+    const instruments = readInstrumentsFile(filePath);
+
+    if (instruments.length > 0) {
+        await InstrumentModel.bulkWrite(instruments.map((instrument) => ({
+            updateOne: {
+                filter: { tradingsymbol: instrument.tradingsymbol, exchange: instrument.exchange },
+                update: { $set: instrument },
+                upsert: true
+            }
+        })));
+    }
+
+    await refreshInstrumentCache();
+    return instruments.length;
+};
+
+// Load the cache at startup, seeding the collection from the bundled dump if empty
+const initInstruments = async () => {
+    const count = await InstrumentModel.estimatedDocumentCount();
+    if (count === 0) {
+        await loadInstruments(process.env.INSTRUMENTS_FILE || DEFAULT_INSTRUMENTS_FILE);
+    } else {
+        await refreshInstrumentCache();
+    }
+    return instrumentCache.size;
+};
+
+const findInstrument = (symbol, exchange = "NSE") => {
+    if (!symbol) return null;
+    return instrumentCache.get(cacheKey(symbol, exchange)) || null;
+};
+
+// Order/holding/watchlist guard: returns an error message or null
+const validateSymbol = (symbol, exchange = "NSE", { tradable = true } = {}) => {
+    const instrument = findInstrument(symbol, exchange);
+    if (!instrument) {
+        return `${String(symbol).toUpperCase()} is not a valid ${exchange} instrument`;
+    }
+    if (tradable && !instrument.tradable) {
+        return `${instrument.tradingsymbol} cannot be traded`;
+    }
+    return null;
+};
+
+// Levenshtein distance, used to tolerate typos in search
+const editDistance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            previous = current;
+        }
+    }
+    return row[b.length];
+};
+
+// All query characters appear in order (e.g. "hdfcb" in "HDFCBANK")
+const isSubsequence = (query, text) => {
+    let i = 0;
+    for (const char of text) {
+        if (char === query[i]) i++;
+        if (i === query.length) return true;
+    }
+    return false;
+};
+
+// Score how well an instrument matches the query; 0 means no match
+const scoreInstrument = (instrument, query) => {
+    const symbol = instrument.tradingsymbol;
+    const name = instrument.name.toUpperCase();
+    const words = name.split(/[^A-Z0-9&]+/).filter(Boolean);
+
+    if (symbol === query) return 100;
+    if (instrument.isin === query) return 95;
+    if (symbol.startsWith(query)) return 90 - Math.min(symbol.length - query.length, 10);
+    if (words.some((word) => word.startsWith(query))) return 75;
+    if (symbol.includes(query)) return 65;
+    if (name.includes(query)) return 55;
+    if (query.length >= 3 && isSubsequence(query, symbol)) return 45;
+
+    const distance = Math.min(
+        editDistance(query, symbol),
+        ...words.map((word) => editDistance(query, word))
+    );
+    const allowed = query.length <= 4 ? 1 : 2;
+    return distance <= allowed ? 35 - distance * 5 : 0;
+};
+
+// Ranked fuzzy search over symbol, name and ISIN
+const searchInstruments = (q, { exchange, instrumentType, limit = 20 } = {}) => {
+    const query = String(q || "").trim().toUpperCase();
+    if (!query) return [];
+
+    return Array.from(instrumentCache.values())
+        .filter((instrument) => !exchange || instrument.exchange === exchange)
+        .filter((instrument) => !instrumentType || instrument.instrumentType === instrumentType)
+        .map((instrument) => ({ instrument, score: scoreInstrument(instrument, query) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score ||
+            a.instrument.tradingsymbol.localeCompare(b.instrument.tradingsymbol) ||
+            a.instrument.exchange.localeCompare(b.instrument.exchange))
+        .slice(0, limit)
+        .map(({ instrument, score }) => ({ ...instrument, score }));
+};
+
+module.exports = {
+    DEFAULT_INSTRUMENTS_FILE,
+    readInstrumentsFile,
+    loadInstruments,
+    initInstruments,
+    refreshInstrumentCache,
+    findInstrument,
+    validateSymbol,
+    searchInstruments
+};
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const marketData = require("./marketData");
+
+const DEFAULT_MARGINS_FILE = path.join(__dirname, "../config/margins.json");
+
+let marginConfig = null;
+
+// MIS leverage and NRML SPAN/exposure rates, each with per-symbol overrides
+const loadMarginConfig = (filePath = process.env.MARGINS_FILE || DEFAULT_MARGINS_FILE) => {
+    const config = JSON.parse(fs.readFileSync(path.resolve(filePath), "utf8"));
+    marginConfig = {
+        MIS: { leverage: 1, symbols: {}, ...config.MIS },
+        NRML: { spanPercent: 100, exposurePercent: 0, symbols: {}, ...config.NRML }
+    };
+    return marginConfig;
+};
+
+const getMarginConfig = () => marginConfig || loadMarginConfig();
+
+const round = (value) => Number(value.toFixed(2));
+
+// Intraday (MIS) orders need 1/leverage of the order value
+const getMisLeverage = (symbol) => {
+    const { leverage, symbols } = getMarginConfig().MIS;
+    return symbols[String(symbol).toUpperCase()] || leverage;
+};
+
+// SPAN (worst-case one-day loss) and exposure rates for carry-forward (NRML) orders
+const getNrmlRates = (symbol) => {
+    const { spanPercent, exposurePercent, symbols } = getMarginConfig().NRML;
+    return { spanPercent, exposurePercent, ...(symbols[String(symbol).toUpperCase()] || {}) };
+};
+
+// Price an order is expected to trade at: its limit price, else the market
+const getReferencePrice = ({ symbol, orderType, transactionType, price, triggerPrice }) => {
+    if (orderType === "LIMIT" || orderType === "SL") return Number(price);
+    if (orderType === "SL-M") return Number(triggerPrice);
+
+    const quote = marketData.getQuote(symbol);
+    if (!quote) return null;
+    return transactionType === "BUY"
+        ? quote.askPrice || quote.ltp
+        : quote.bidPrice || quote.ltp;
+};
+
+// Margin needed to place a single order, with how it was arrived at.
+// Delivery sells are covered by the holdings themselves, so they need none.
+const calculateOrderMargin = (order) => {
+    const price = getReferencePrice(order);
+    const orderValue = price ? price * order.quantity : 0;
+    const product = order.product || "CNC";
+    const result = { product, price, orderValue: round(orderValue) };
+
+    if (product === "MIS") {
+        const leverage = getMisLeverage(order.symbol);
+        return { ...result, leverage, margin: round(orderValue / leverage) };
+    }
+
+    if (product === "NRML") {
+        const { spanPercent, exposurePercent } = getNrmlRates(order.symbol);
+        const span = orderValue * spanPercent / 100;
+        const exposure = orderValue * exposurePercent / 100;
+        return { ...result, span: round(span), exposure: round(exposure), margin: round(span + exposure) };
+    }
+
+    const margin = order.transactionType === "SELL" ? 0 : orderValue;
+    return { ...result, margin: round(margin) };
+};
+
+// Margin for a set of orders, leg by leg and in total. Each order is margined
+// on its own, exactly as order placement blocks it; an order may carry a
+// `marginQuantity` when only part of it needs margin (the rest closes a position).
+const calculateOrdersMargin = (orders) => {
+    const legs = orders.map((order) => {
+        const leg = calculateOrderMargin(order);
+        if (order.marginQuantity === undefined || order.marginQuantity === order.quantity) return leg;
+
+        const margined = calculateOrderMargin({ ...order, quantity: order.marginQuantity });
+        return {
+            ...margined,
+            orderValue: leg.orderValue,
+            closingQuantity: order.quantity - order.marginQuantity
+        };
+    });
+    return {
+        legs,
+        total: {
+            orderValue: round(legs.reduce((sum, leg) => sum + leg.orderValue, 0)),
+            margin: round(legs.reduce((sum, leg) => sum + leg.margin, 0))
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_MARGINS_FILE,
+    loadMarginConfig,
+    getMisLeverage,
+    getNrmlRates,
+    getReferencePrice,
+    calculateOrderMargin,
+    calculateOrdersMargin
+};
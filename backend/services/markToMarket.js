@@ -0,0 +1,112 @@
+const { HoldingsModel } = require("../models/HoldingsModel");
+const { PositionsModel } = require("../models/PositionsModel");
+const { WatchlistModel } = require("../models/WatchlistModel");
+const marketData = require("./marketData");
+const { runExclusive } = require("./orderExecution");
+
+// Symbols that ticked since the last mark-to-market run
+const dirtySymbols = new Set();
+let timer = null;
+
+const onTick = (quote) => {
+    dirtySymbols.add(quote.symbol);
+};
+
+const remarkHoldings = async (symbols) => {
+    const holdings = await HoldingsModel.find({ symbol: { $in: symbols } });
+
+    for (const holding of holdings) {
+        const quote = marketData.getQuote(holding.symbol);
+        holding.lastTradedPrice = quote.ltp;
+        holding.updateMarketPrice(quote.ltp);
+        if (quote.close) {
+            holding.dayChange = {
+                value: (quote.ltp - quote.close) * holding.quantity,
+                percentage: (quote.ltp - quote.close) / quote.close * 100
+            };
+        }
+        await holding.save();
+    }
+    return holdings;
+};
+
+const remarkPositions = async (symbols) => {
+    const positions = await PositionsModel.find({ symbol: { $in: symbols } });
+
+    for (const position of positions) {
+        const quote = marketData.getQuote(position.symbol);
+        position.updateMarketPrice(quote.ltp);
+        await position.save();
+    }
+    return positions;
+};
+
+const remarkWatchlists = async (symbols) => {
+    const watchlists = await WatchlistModel.find({ "items.symbol": { $in: symbols } });
+
+    for (const watchlist of watchlists) {
+        const updates = watchlist.items
+            .filter((item) => symbols.includes(item.symbol))
+            .map((item) => {
+                const quote = marketData.getQuote(item.symbol);
+                return {
+                    symbol: item.symbol,
+                    exchange: item.exchange,
+                    lastPrice: quote.ltp,
+                    change: {
+                        value: quote.change || 0,
+                        percentage: quote.changePercent || 0
+                    },
+                    volume: quote.volume,
+                    openPrice: quote.open,
+                    highPrice: quote.high,
+                    lowPrice: quote.low,
+                    previousClose: quote.close
+                };
+            });
+
+        watchlist.updatePrices(updates);
+        await watchlist.save();
+    }
+    return watchlists;
+};
+
+// Re-price every holding, position and watchlist item whose symbol ticked
+const runMarkToMarket = async () => {
+    const symbols = Array.from(dirtySymbols);
+    dirtySymbols.clear();
+    if (symbols.length === 0) return;
+
+    // Holdings and positions are re-read and saved on the execution queue, so a
+    // fill booked in between is never overwritten with stale quantities
+    await runExclusive(async () => {
+        await remarkHoldings(symbols);
+        await remarkPositions(symbols);
+    });
+    await remarkWatchlists(symbols);
+};
+
+const startMarkToMarket = (intervalMs = Number(process.env.MARK_TO_MARKET_INTERVAL_MS) || 5000) => {
+    marketData.marketEvents.on("tick", onTick);
+
+    const run = () => {
+        runMarkToMarket()
+            .catch((error) => console.error("Mark To Market Error:", error))
+            .finally(() => {
+                if (timer) timer = setTimeout(run, intervalMs);
+            });
+    };
+    timer = setTimeout(run, intervalMs);
+};
+
+const stopMarkToMarket = () => {
+    marketData.marketEvents.off("tick", onTick);
+    clearTimeout(timer);
+    timer = null;
+};
+
+module.exports = {
+    runMarkToMarket,
+    startMarkToMarket,
+    stopMarkToMarket
+};
@@ -0,0 +1,302 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, "../config/marketCalendar.json");
+const IST_OFFSET_MINUTES = 330;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXCHANGES = ["NSE", "BSE"];
+
+// Session names in the order they occur during a trading day
+const SESSION_ORDER = ["preOpen", "normal", "postClose"];
+// Intraday positions are squared off this long before the normal session ends
+// when the configured cut-off does not fall inside the session (e.g. Muhurat)
+const SQUARE_OFF_LEAD_MINUTES = 10;
+const SESSION_STATUS = {
+    preOpen: "PRE_OPEN",
+    normal: "OPEN",
+    postClose: "POST_CLOSE"
+};
+
+const calendarEvents = new EventEmitter();
+calendarEvents.setMaxListeners(0);
+
+let calendar = null;
+
+// MARKET_CALENDAR=always-open treats every moment as the normal session,
+// which is handy for offline testing against the simulator at any hour.
+const isAlwaysOpen = () => process.env.MARKET_CALENDAR === "always-open";
+
+const loadCalendar = (filePath = process.env.MARKET_CALENDAR_FILE || DEFAULT_CALENDAR_FILE) => {
+    const config = JSON.parse(fs.readFileSync(path.resolve(filePath), "utf8"));
+    calendar = {
+        sessions: config.sessions,
+        misSquareOff: config.misSquareOff,
+        holidays: config.holidays || [],
+        specialSessions: config.specialSessions || []
+    };
+    return calendar;
+};
+
+const getCalendar = () => calendar || loadCalendar();
+
+// Break a moment down into its IST calendar date and minutes past midnight
+const toIST = (date) => {
+    const shifted = new Date(new Date(date).getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+    return {
+        dateKey: shifted.toISOString().slice(0, 10),
+        minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes(),
+        weekday: shifted.getUTCDay()
+    };
+};
+
+const toMinutes = (hhmm) => {
+    const [hours, minutes] = hhmm.split(":").map(Number);
+    return hours * 60 + minutes;
+};
+
+const toHHMM = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const atIST = (dateKey, hhmm) => new Date(`${dateKey}T${hhmm}:00+05:30`);
+
+const addDays = (dateKey, days) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+const appliesTo = (entry, exchange) => !entry.exchanges || entry.exchanges.includes(exchange);
+
+const getHoliday = (dateKey, exchange = "NSE") => getCalendar().holidays
+    .find((holiday) => holiday.date === dateKey && appliesTo(holiday, exchange)) || null;
+
+const getSpecialSession = (dateKey, exchange = "NSE") => getCalendar().specialSessions
+    .find((special) => special.date === dateKey && appliesTo(special, exchange)) || null;
+
+// Session timings for an IST date, or null when the exchange is shut that day
+const getSessionsForDate = (dateKey, exchange = "NSE") => {
+    const special = getSpecialSession(dateKey, exchange);
+    if (special) return special.sessions;
+
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6) return null;
+    if (getHoliday(dateKey, exchange)) return null;
+    return getCalendar().sessions;
+};
+
+const isTradingDay = (date = new Date(), exchange = "NSE") =>
+    getSessionsForDate(toIST(date).dateKey, exchange) !== null;
+
+// First trading day strictly after the given date (as an IST date key)
+const nextTradingDay = (date = new Date(), exchange = "NSE") => {
+    let dateKey = toIST(date).dateKey;
+    for (let i = 0; i < 30; i++) {
+        dateKey = addDays(dateKey, 1);
+        if (getSessionsForDate(dateKey, exchange)) return dateKey;
+    }
+    return null;
+};
+
+// The n-th trading day after a date (n = 1 is the next trading day)
+const addTradingDays = (date, n, exchange = "NSE") => {
+    let current = atIST(toIST(date).dateKey, "12:00");
+    let dateKey = null;
+    for (let i = 0; i < n; i++) {
+        dateKey = nextTradingDay(current, exchange);
+        if (!dateKey) return null;
+        current = atIST(dateKey, "12:00");
+    }
+    return dateKey;
+};
+
+// Which session (if any) is running at a moment
+const getCurrentSession = (date = new Date(), exchange = "NSE") => {
+    if (isAlwaysOpen()) return "normal";
+
+    const { dateKey, minutes } = toIST(date);
+    const sessions = getSessionsForDate(dateKey, exchange);
+    if (!sessions) return null;
+
+    return SESSION_ORDER.find((name) => {
+        const session = sessions[name];
+        return session && minutes >= toMinutes(session.start) && minutes < toMinutes(session.end);
+    }) || null;
+};
+
+// Whether the normal session runs at any moment in [from, to); both must fall
+// on the same IST date
+const tradesBetween = (from, to, exchange = "NSE") => {
+    if (isAlwaysOpen()) return true;
+
+    const { dateKey } = toIST(from);
+    const sessions = getSessionsForDate(dateKey, exchange);
+    if (!sessions) return false;
+    return new Date(from) < atIST(dateKey, sessions.normal.end) &&
+        new Date(to) > atIST(dateKey, sessions.normal.start);
+};
+
+// Next time the normal session opens, strictly after `date`
+const nextSessionOpen = (date = new Date(), exchange = "NSE") => {
+    const { dateKey, minutes } = toIST(date);
+    const today = getSessionsForDate(dateKey, exchange);
+    if (today && minutes < toMinutes(today.normal.start)) {
+        return atIST(dateKey, today.normal.start);
+    }
+
+    const next = nextTradingDay(date, exchange);
+    return next ? atIST(next, getSessionsForDate(next, exchange).normal.start) : null;
+};
+
+// The most recent trading day to have ended (its last session closed) at or
+// before `date`, as { dateKey, closedAt }, or null if none in the last 30 days
+const lastSessionClose = (date = new Date(), exchange = "NSE") => {
+    if (isAlwaysOpen()) return null;
+
+    const { dateKey } = toIST(date);
+    for (let i = 0; i < 30; i++) {
+        const key = addDays(dateKey, -i);
+        const sessions = getSessionsForDate(key, exchange);
+        if (!sessions) continue;
+
+        const lastSession = SESSION_ORDER.filter((name) => sessions[name]).pop();
+        const closedAt = atIST(key, sessions[lastSession].end);
+        if (closedAt <= new Date(date)) return { dateKey: key, closedAt };
+    }
+    return null;
+};
+
+const getMarketStatus = (date = new Date(), exchange = "NSE") => {
+    const { dateKey } = toIST(date);
+    const session = getCurrentSession(date, exchange);
+    const sessions = getSessionsForDate(dateKey, exchange);
+    const special = getSpecialSession(dateKey, exchange);
+    const holiday = getHoliday(dateKey, exchange);
+
+    return {
+        exchange,
+        status: session ? SESSION_STATUS[session] : "CLOSED",
+        session,
+        date: dateKey,
+        isTradingDay: isAlwaysOpen() || sessions !== null,
+        holiday: holiday && !special ? holiday.description : null,
+        specialSession: special ? special.description : null,
+        sessions,
+        nextOpen: isAlwaysOpen() ? null : nextSessionOpen(date, exchange),
+        serverTime: new Date(date)
+    };
+};
+
+const isMarketOpen = (date = new Date(), exchange = "NSE") => getCurrentSession(date, exchange) === "normal";
+
+// Order entry rules per session; returns a rejection reason or null
+const checkOrderWindow = (order, date = new Date()) => {
+    const session = getCurrentSession(date, order.exchange);
+
+    if (session === "normal") return null;
+
+    if (session === "preOpen") {
+        if (!["MARKET", "LIMIT"].includes(order.orderType)) {
+            return "Only MARKET and LIMIT orders are accepted during the pre-open session";
+        }
+        if (order.validity === "IOC") {
+            return "IOC orders are not accepted during the pre-open session";
+        }
+        return null;
+    }
+
+    if (session === "postClose") {
+        if (order.product !== "CNC" || order.validity !== "DAY") {
+            return "Only CNC DAY orders are accepted during the post-close session";
+        }
+        return null;
+    }
+
+    const status = getMarketStatus(date, order.exchange);
+    if (status.holiday) {
+        return `Market is closed for ${status.holiday}`;
+    }
+    return "Market is closed";
+};
+
+// When MIS positions are squared off on a date, or null when there is no session
+// (or the calendar is always open). MIS_SQUARE_OFF_TIME overrides the calendar's
+// cut-off; a special session can set its own with normal.squareOff.
+const getSquareOffTime = (date = new Date(), exchange = "NSE") => {
+    if (isAlwaysOpen()) return null;
+
+    const { dateKey } = toIST(date);
+    const sessions = getSessionsForDate(dateKey, exchange);
+    if (!sessions) return null;
+
+    const { normal } = sessions;
+    const cutOff = normal.squareOff || process.env.MIS_SQUARE_OFF_TIME || getCalendar().misSquareOff;
+    if (cutOff && toMinutes(cutOff) > toMinutes(normal.start) && toMinutes(cutOff) < toMinutes(normal.end)) {
+        return atIST(dateKey, cutOff);
+    }
+    return atIST(dateKey, toHHMM(toMinutes(normal.end) - SQUARE_OFF_LEAD_MINUTES));
+};
+
+const isPastSquareOff = (date = new Date(), exchange = "NSE") => {
+    const cutOff = getSquareOffTime(date, exchange);
+    return cutOff !== null && new Date(date) >= cutOff;
+};
+
+// After-market orders are only taken while the normal flow is shut
+const checkAmoWindow = (order, date = new Date()) => {
+    const session = getCurrentSession(date, order.exchange);
+    if (session === "preOpen" || session === "normal") {
+        return "AMO orders can only be placed outside market hours";
+    }
+    return null;
+};
+
+// Poll the clock and announce session transitions per exchange
+const lastSession = new Map();
+let sessionTimer = null;
+
+const checkSessions = (date = new Date()) => {
+    EXCHANGES.forEach((exchange) => {
+        const session = getCurrentSession(date, exchange);
+        const previous = lastSession.has(exchange) ? lastSession.get(exchange) : session;
+        lastSession.set(exchange, session);
+
+        if (previous !== session) {
+            calendarEvents.emit("sessionChange", { exchange, previous, session, at: new Date(date) });
+        }
+    });
+};
+
+const startSessionScheduler = (intervalMs = 15000) => {
+    getCalendar();
+    checkSessions();
+    sessionTimer = setInterval(() => checkSessions(), intervalMs);
+};
+
+const stopSessionScheduler = () => {
+    clearInterval(sessionTimer);
+    sessionTimer = null;
+    lastSession.clear();
+};
+
+module.exports = {
+    calendarEvents,
+    loadCalendar,
+    toIST,
+    atIST,
+    getHoliday,
+    getSessionsForDate,
+    isTradingDay,
+    nextTradingDay,
+    addTradingDays,
+    getCurrentSession,
+    tradesBetween,
+    nextSessionOpen,
+    lastSessionClose,
+    getMarketStatus,
+    isMarketOpen,
+    checkOrderWindow,
+    checkAmoWindow,
+    getSquareOffTime,
+    isPastSquareOff,
+    checkSessions,
+    startSessionScheduler,
+    stopSessionScheduler
+};
@@ -0,0 +1,80 @@
+const EventEmitter = require("events");
+
+// Latest quote per symbol, shared by everything that needs a market price
+const quotes = new Map();
+const marketEvents = new EventEmitter();
+marketEvents.setMaxListeners(0);
+
+const normalizeSymbol = (symbol) => String(symbol).trim().toUpperCase();
+
+// Publish a new quote and notify listeners (execution engine, streams, ...)
+const updateQuote = (symbol, data) => {
+    const key = normalizeSymbol(symbol);
+    const previous = quotes.get(key) || {};
+    const quote = {
+        ...previous,
+        ...data,
+        symbol: key,
+        timestamp: data.timestamp ? new Date(data.timestamp) : new Date()
+    };
+
+    quotes.set(key, quote);
+    marketEvents.emit("tick", quote);
+    return quote;
+};
+
+const getQuote = (symbol) => {
+    const quote = quotes.get(normalizeSymbol(symbol));
+    return quote ? { ...quote } : null;
+};
+
+const getAllQuotes = () => Array.from(quotes.values(), (quote) => ({ ...quote }));
+
+// Forget every cached quote (used when a feed is restarted or replayed)
+const clearQuotes = () => {
+    quotes.clear();
+};
+
+const getLTP = (symbol) => {
+    const quote = quotes.get(normalizeSymbol(symbol));
+    return quote ? quote.ltp : null;
+};
+
+// Consume resting liquidity on the opposite side of the book.
+// Returns the quantity that can be filled and the price it fills at.
+const takeLiquidity = (symbol, transactionType, quantity) => {
+    const quote = quotes.get(normalizeSymbol(symbol));
+    if (!quote || !quote.ltp) {
+        return { quantity: 0, price: null };
+    }
+
+    const priceField = transactionType === "BUY" ? "askPrice" : "bidPrice";
+    const qtyField = transactionType === "BUY" ? "askQty" : "bidQty";
+    const price = quote[priceField] || quote.ltp;
+
+    // Quotes without depth information are treated as fully liquid
+    if (typeof quote[qtyField] !== "number") {
+        return { quantity, price };
+    }
+
+    const filled = Math.min(quantity, quote[qtyField]);
+    quote[qtyField] -= filled;
+
+    // Keep the top level of the book in step with the quote
+    const side = transactionType === "BUY" ? "sell" : "buy";
+    if (quote.depth && quote.depth[side] && quote.depth[side][0]) {
+        quote.depth[side][0] = { ...quote.depth[side][0], quantity: quote[qtyField] };
+    }
+
+    return { quantity: filled, price };
+};
+
+module.exports = {
+    marketEvents,
+    updateQuote,
+    getQuote,
+    getAllQuotes,
+    getLTP,
+    clearQuotes,
+    takeLiquidity
+};
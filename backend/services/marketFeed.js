@@ -0,0 +1,251 @@
+const fs = require("fs");
+const path = require("path");
+const marketData = require("./marketData");
+const { parseCsv } = require("./csv");
+const { findInstrument } = require("./instruments");
+const referencePrices = require("../config/referencePrices.json");
+
+const DEFAULT_TICK_SIZE = 0.05;
+
+// Simulated prices land on the symbol's own tick (its NSE listing first), so
+// they are always prices an order could be placed at
+const getTickSize = (symbol) => {
+    const instrument = findInstrument(symbol, "NSE") || findInstrument(symbol, "BSE");
+    return (instrument && instrument.tickSize) || DEFAULT_TICK_SIZE;
+};
+
+const roundToTick = (price, tickSize) => Math.max(tickSize, Math.round(price / tickSize) * tickSize);
+const roundPrice = (price, tickSize) => Number(roundToTick(price, tickSize).toFixed(2));
+
+// Small, fast seeded PRNG (mulberry32) so simulated prices are reproducible
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Stable per-symbol hash so adding a symbol does not change the others' paths
+const hashSymbol = (symbol) => {
+    let hash = 2166136261;
+    for (const char of symbol) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+// Standard normal sample using Box-Muller
+const gaussian = (random) => {
+    const u = random() || Number.EPSILON;
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Five price levels either side of the LTP, one tick apart
+const DEPTH_LEVELS = 5;
+
+const buildDepth = (ltp, random, tickSize) => {
+    const level = (price) => ({
+        price: roundPrice(price, tickSize),
+        quantity: 100 + Math.floor(random() * 5000),
+        orders: 1 + Math.floor(random() * 20)
+    });
+
+    return {
+        buy: Array.from({ length: DEPTH_LEVELS }, (_, i) => level(ltp - (i + 1) * tickSize)),
+        sell: Array.from({ length: DEPTH_LEVELS }, (_, i) => level(ltp + (i + 1) * tickSize))
+    };
+};
+
+// Seeded random-walk simulator: every step() moves each symbol one tick
+const createSimulatorFeed = ({ seed = 42, prices = referencePrices, volatility = 0.001 } = {}) => {
+    let symbols = {};
+
+    const reset = () => {
+        symbols = {};
+        Object.entries(prices).forEach(([symbol, price]) => {
+            symbols[symbol] = {
+                random: createRandom(seed ^ hashSymbol(symbol)),
+                ltp: price,
+                open: price,
+                high: price,
+                low: price,
+                close: price,
+                volume: 0
+            };
+        });
+    };
+
+    const step = () => {
+        Object.entries(symbols).forEach(([symbol, state]) => {
+            const tickSize = getTickSize(symbol);
+            const ltp = roundPrice(state.ltp * Math.exp(volatility * gaussian(state.random)), tickSize);
+            const tradedQty = 1 + Math.floor(state.random() * 500);
+            const depth = buildDepth(ltp, state.random, tickSize);
+
+            state.ltp = ltp;
+            state.high = Math.max(state.high, ltp);
+            state.low = Math.min(state.low, ltp);
+            state.volume += tradedQty;
+
+            marketData.updateQuote(symbol, {
+                ltp,
+                open: state.open,
+                high: state.high,
+                low: state.low,
+                close: state.close,
+                change: Number((ltp - state.close).toFixed(2)),
+                changePercent: Number(((ltp - state.close) / state.close * 100).toFixed(2)),
+                volume: state.volume,
+                lastTradedQty: tradedQty,
+                bidPrice: depth.buy[0].price,
+                askPrice: depth.sell[0].price,
+                bidQty: depth.buy[0].quantity,
+                askQty: depth.sell[0].quantity,
+                depth
+            });
+        });
+        return true;
+    };
+
+    reset();
+    return { type: "simulator", step, reset };
+};
+
+// Parse a CSV tick dump with a header row, e.g. timestamp,symbol,ltp,volume
+const parseCsvTicks = (content) => parseCsv(content).map((row) => {
+    Object.keys(row).forEach((column) => {
+        if (column !== "symbol" && column !== "timestamp" && row[column] !== "" && !isNaN(row[column])) {
+            row[column] = Number(row[column]);
+        }
+    });
+    return row;
+});
+
+// Load ticks from a .csv or .json file
+const loadTicks = (filePath) => {
+    const content = fs.readFileSync(path.resolve(filePath), "utf8");
+    const ticks = filePath.toLowerCase().endsWith(".csv")
+        ? parseCsvTicks(content)
+        : JSON.parse(content);
+
+    return ticks
+        .filter((tick) => tick.symbol && tick.ltp > 0)
+        .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+};
+
+// Replays recorded ticks in order; step() returns false once exhausted
+const createReplayFeed = ({ ticks = [], file, loop = false } = {}) => {
+    const data = file ? loadTicks(file) : ticks;
+    let index = 0;
+    let daily = {};
+
+    const reset = () => {
+        index = 0;
+        daily = {};
+    };
+
+    const step = () => {
+        if (index >= data.length) {
+            if (!loop || data.length === 0) return false;
+            reset();
+        }
+
+        const { symbol, ...tick } = data[index++];
+        const state = daily[symbol] || { open: tick.ltp, high: tick.ltp, low: tick.ltp };
+        state.high = Math.max(state.high, tick.ltp);
+        state.low = Math.min(state.low, tick.ltp);
+        daily[symbol] = state;
+
+        marketData.updateQuote(symbol, { ...state, ...tick });
+        return true;
+    };
+
+    // Milliseconds between the current and next recorded tick
+    const nextDelay = () => {
+        const current = data[index - 1];
+        const next = data[index];
+        if (!current || !next || !current.timestamp || !next.timestamp) return null;
+        return Math.max(new Date(next.timestamp) - new Date(current.timestamp), 0);
+    };
+
+    return { type: "replay", step, reset, nextDelay, length: data.length };
+};
+
+const feedFactories = {
+    simulator: createSimulatorFeed,
+    replay: createReplayFeed
+};
+
+// Register an additional feed type (e.g. a broker or exchange adapter)
+const registerFeed = (type, factory) => {
+    feedFactories[type] = factory;
+};
+
+let activeFeed = null;
+let timer = null;
+
+const stopMarketFeed = () => {
+    clearTimeout(timer);
+    timer = null;
+    activeFeed = null;
+};
+
+// Start the configured feed and pump it on a timer.
+// Replay feeds honour recorded timestamps (scaled by speed) when present.
+const startMarketFeed = ({
+    type = process.env.MARKET_FEED || "simulator",
+    intervalMs = Number(process.env.MARKET_FEED_INTERVAL_MS) || 1000,
+    speed = Number(process.env.MARKET_FEED_SPEED) || 1,
+    ...options
+} = {}) => {
+    const factory = feedFactories[type];
+    if (!factory) {
+        throw new Error(`Unknown market feed type: ${type}`);
+    }
+
+    stopMarketFeed();
+    marketData.clearQuotes();
+
+    if (type === "simulator" && options.seed === undefined && process.env.MARKET_FEED_SEED) {
+        options.seed = Number(process.env.MARKET_FEED_SEED);
+    }
+    if (type === "replay" && !options.file && !options.ticks && process.env.MARKET_FEED_FILE) {
+        options.file = process.env.MARKET_FEED_FILE;
+    }
+
+    const feed = factory(options);
+    activeFeed = feed;
+
+    const pump = () => {
+        if (activeFeed !== feed) return;
+        if (!feed.step()) {
+            console.log(`📼 ${feed.type} feed finished`);
+            return;
+        }
+        const recorded = feed.nextDelay ? feed.nextDelay() : null;
+        const delay = recorded === null ? intervalMs : recorded / speed;
+        timer = setTimeout(pump, delay);
+    };
+
+    pump();
+    return feed;
+};
+
+const getActiveFeed = () => activeFeed;
+
+module.exports = {
+    createRandom,
+    createSimulatorFeed,
+    createReplayFeed,
+    loadTicks,
+    registerFeed,
+    startMarketFeed,
+    stopMarketFeed,
+    getActiveFeed
+};
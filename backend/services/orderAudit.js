@@ -0,0 +1,111 @@
+const { OrderEventModel } = require("../models/OrderEventModel");
+const { executionEvents } = require("./orderExecution");
+const { createTaskQueue } = require("./taskQueue");
+
+// Events are written one at a time, in the order they happened
+const enqueue = createTaskQueue();
+
+const PLACED_FIELDS = [
+    "symbol", "exchange", "transactionType", "orderType", "product", "variety",
+    "validity", "quantity", "price", "triggerPrice"
+];
+
+const logAuditError = (error) => {
+    console.error("Order Audit Error:", error);
+};
+
+// Timestamp now, write later: the queue may lag behind the change itself
+const recordOrderEvent = (order, type, { actor = "SYSTEM", changes = [], fill, reason } = {}) => {
+    const event = {
+        orderId: order._id,
+        userId: order.userId,
+        type,
+        actor,
+        status: order.status,
+        changes,
+        fill,
+        reason,
+        at: new Date()
+    };
+    return enqueue(() => OrderEventModel.create(event)).catch(logAuditError);
+};
+
+// Why an order moved from one status to another, where the order itself doesn't say
+const statusChangeReason = (order, previousStatus) => {
+    if (["CANCELLED", "REJECTED"].includes(order.status)) return order.rejectionReason;
+    if (previousStatus === "AMO_RECEIVED") return "Released at market open";
+    if (previousStatus === "TRIGGER_PENDING") return "Trigger price reached";
+    return undefined;
+};
+
+const onPlaced = ({ order, actor }) => {
+    const changes = PLACED_FIELDS
+        .filter((field) => order[field] !== undefined)
+        .map((field) => ({ field, from: null, to: order[field] }));
+    recordOrderEvent(order, "PLACED", { actor, changes });
+};
+
+const onStatusChange = ({ order, previousStatus, actor }) => {
+    recordOrderEvent(order, "STATUS_CHANGE", {
+        actor,
+        changes: [{ field: "status", from: previousStatus, to: order.status }],
+        reason: statusChangeReason(order, previousStatus)
+    });
+};
+
+const onModify = ({ order, changes, actor }) => {
+    recordOrderEvent(order, "MODIFIED", { actor, changes });
+};
+
+const onFill = ({ order, quantity, price, actor }) => {
+    // Undo the fill's effect on the average to get the values before it
+    const previousFilled = order.filledQuantity - quantity;
+    const previousAverage = previousFilled > 0
+        ? (order.averagePrice * order.filledQuantity - price * quantity) / previousFilled
+        : 0;
+
+    recordOrderEvent(order, "FILL", {
+        actor,
+        fill: { quantity, price },
+        changes: [
+            { field: "filledQuantity", from: previousFilled, to: order.filledQuantity },
+            { field: "averagePrice", from: Number(previousAverage.toFixed(2)), to: order.averagePrice }
+        ]
+    });
+};
+
+const toOrderEventJSON = (event) => ({
+    type: event.type,
+    actor: event.actor,
+    status: event.status,
+    changes: event.changes,
+    fill: event.fill,
+    reason: event.reason,
+    at: event.at
+});
+
+// Every recorded event for an order, oldest first
+const getOrderHistory = async (orderId) => {
+    const events = await OrderEventModel.find({ orderId }).sort({ at: 1, _id: 1 });
+    return events.map(toOrderEventJSON);
+};
+
+const startOrderAudit = () => {
+    executionEvents.on("placed", onPlaced);
+    executionEvents.on("statusChange", onStatusChange);
+    executionEvents.on("modify", onModify);
+    executionEvents.on("fill", onFill);
+};
+
+const stopOrderAudit = () => {
+    executionEvents.off("placed", onPlaced);
+    executionEvents.off("statusChange", onStatusChange);
+    executionEvents.off("modify", onModify);
+    executionEvents.off("fill", onFill);
+};
+
+module.exports = {
+    getOrderHistory,
+    startOrderAudit,
+    stopOrderAudit
+};
@@ -0,0 +1,345 @@
+const EventEmitter = require("events");
+const { OrdersModel } = require("../models/OrdersModel");
+const marketData = require("./marketData");
+const { runExclusive } = require("./executionQueue");
+const { settleFill } = require("./portfolioSettlement");
+const { calendarEvents, getCurrentSession, checkOrderWindow, toIST, atIST } = require("./marketCalendar");
+
+const executionEvents = new EventEmitter();
+executionEvents.setMaxListeners(0);
+
+// All order processing runs through a single queue so a tick and a user
+// action can never work on the same order at the same time.
+const enqueue = runExclusive;
+
+const WORKING_STATUSES = ["PENDING", "TRIGGER_PENDING", "OPEN"];
+// After-market orders wait here until the next session starts
+const AMO_STATUS = "AMO_RECEIVED";
+const OPEN_STATUSES = [AMO_STATUS, ...WORKING_STATUSES];
+const STOP_ORDER_TYPES = ["SL", "SL-M"];
+
+// Check whether a fill price is acceptable for the order.
+// Triggered SL orders behave like LIMIT orders, SL-M like MARKET orders.
+const isMarketable = (order, fillPrice) => {
+    if (order.orderType === "MARKET" || order.orderType === "SL-M") return true;
+    if (order.transactionType === "BUY") return fillPrice <= order.price;
+    return fillPrice >= order.price;
+};
+
+// `actor` is who caused the change, for the order's audit trail
+const saveAndNotify = async (order, previousStatus, { fill, actor = "SYSTEM" } = {}) => {
+    // Book the trade into holdings/positions before the fill is recorded on the
+    // order: if booking fails, the order is left as it was and matched again later
+    const settlement = fill ? await settleFill(order, fill.quantity, fill.price) : null;
+    await order.save();
+
+    if (fill) {
+        executionEvents.emit("fill", { order, ...fill, ...settlement, actor });
+    }
+    if (order.status !== previousStatus) {
+        executionEvents.emit("statusChange", { order, previousStatus, actor });
+    }
+    return order;
+};
+
+// Orders only match in the normal session; CNC orders also match post-close
+const canMatchNow = (order) => {
+    const session = getCurrentSession(new Date(), order.exchange);
+    return session === "normal" || (session === "postClose" && order.product === "CNC");
+};
+
+// How much of an order may fill now. Bracket/cover legs and exits share what
+// the entry has filled, so once one leg closes it out its sibling cannot fill
+// as well, even before the bracket service gets to shrink or cancel it.
+const getFillableQuantity = async (order) => {
+    if (!order.isBracket() || !order.parentOrderId) return order.remainingQuantity;
+
+    const [entry, children] = await Promise.all([
+        OrdersModel.findById(order.parentOrderId).select("filledQuantity"),
+        OrdersModel.find({ parentOrderId: order.parentOrderId }).select("filledQuantity")
+    ]);
+    const closedQuantity = children.reduce((sum, child) => sum + child.filledQuantity, 0);
+    const openQuantity = entry ? entry.filledQuantity - closedQuantity : 0;
+    return Math.max(Math.min(order.remainingQuantity, openQuantity), 0);
+};
+
+// Try to match a single working order against the current quote
+const matchOrder = async (order) => {
+    // Iceberg/TWAP parents never reach the book themselves, only their child orders do
+    if (!WORKING_STATUSES.includes(order.status) || order.isAlgoParent() || !canMatchNow(order)) {
+        return order;
+    }
+
+    const previousStatus = order.status;
+    const quote = marketData.getQuote(order.symbol);
+
+    // Stop orders rest untriggered until the LTP crosses the trigger price
+    if (STOP_ORDER_TYPES.includes(order.orderType) && !order.triggeredAt) {
+        if (!quote || !quote.ltp || !order.isTriggered(quote.ltp)) {
+            order.status = "TRIGGER_PENDING";
+            return saveAndNotify(order, previousStatus);
+        }
+        order.triggeredAt = new Date();
+    }
+
+    if (!quote || !quote.ltp) {
+        if (order.orderType === "MARKET") {
+            order.status = "REJECTED";
+            order.rejectionReason = `No market price available for ${order.symbol}`;
+        } else {
+            order.status = "OPEN";
+        }
+        return saveAndNotify(order, previousStatus);
+    }
+
+    order.status = "OPEN";
+
+    let fill = null;
+    const referencePrice = order.transactionType === "BUY"
+        ? (quote.askPrice || quote.ltp)
+        : (quote.bidPrice || quote.ltp);
+
+    const fillableQuantity = isMarketable(order, referencePrice) ? await getFillableQuantity(order) : 0;
+    if (fillableQuantity > 0) {
+        const available = marketData.takeLiquidity(
+            order.symbol,
+            order.transactionType,
+            fillableQuantity
+        );
+
+        if (available.quantity > 0) {
+            order.applyFill(available.quantity, available.price);
+            fill = { quantity: available.quantity, price: available.price };
+        }
+    }
+
+    // IOC orders never rest: whatever is left after the first match is cancelled
+    if (order.validity === "IOC" && order.status === "OPEN") {
+        order.status = "CANCELLED";
+        order.rejectionReason = order.filledQuantity > 0
+            ? "IOC order partially filled, remaining quantity cancelled"
+            : "IOC order could not be filled immediately";
+    }
+
+    return saveAndNotify(order, previousStatus, { fill });
+};
+
+// Match an order, leaving it untouched when that fails (e.g. its fill could not
+// be booked); resolves to the order as stored
+const tryMatchOrder = async (order) => {
+    try {
+        return await matchOrder(order);
+    } catch (error) {
+        console.error(`Order Matching Error for order ${order._id}:`, error);
+        return OrdersModel.findById(order._id);
+    }
+};
+
+// Submit a newly placed order to the engine
+const executeOrder = (order) => enqueue(async () => {
+    const fresh = await OrdersModel.findById(order._id);
+    if (!fresh) return null;
+    return tryMatchOrder(fresh);
+});
+
+// Record a newly placed order and run its pre-trade `check` with no tick able to
+// match it in between; an order failing the check is rejected before it ever
+// reaches the book. `check` must not wait on the engine. Resolves to the
+// rejection reason, or null when the order was accepted.
+const admitOrder = (order, check, actor = "USER") => enqueue(async () => {
+    await order.save();
+    executionEvents.emit("placed", { order, actor });
+
+    const reason = await check(order);
+    if (reason) {
+        const previousStatus = order.status;
+        order.status = "REJECTED";
+        order.rejectionReason = reason;
+        await saveAndNotify(order, previousStatus);
+    }
+    return reason;
+});
+
+// Cancel a working or queued order; resolves to null if it can no longer be cancelled
+const cancelOrder = (orderId, reason, actor = "SYSTEM") => enqueue(async () => {
+    const order = await OrdersModel.findById(orderId);
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+        return null;
+    }
+
+    const previousStatus = order.status;
+    order.status = "CANCELLED";
+    if (reason) order.rejectionReason = reason;
+    return saveAndNotify(order, previousStatus, { actor });
+});
+
+// Reject an order before it reaches the market (failed pre-trade checks)
+const rejectOrder = (orderId, reason, actor = "SYSTEM") => enqueue(async () => {
+    const order = await OrdersModel.findById(orderId);
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+        return null;
+    }
+
+    const previousStatus = order.status;
+    order.status = "REJECTED";
+    order.rejectionReason = reason;
+    return saveAndNotify(order, previousStatus, { actor });
+});
+
+// Change quantity/price/trigger/validity of an open order. Working orders are
+// re-matched at once; resolves to null if the order can no longer be modified.
+const modifyOrder = (orderId, changes, actor = "SYSTEM") => enqueue(async () => {
+    const order = await OrdersModel.findById(orderId);
+    if (!order || !OPEN_STATUSES.includes(order.status)) {
+        return null;
+    }
+    if (changes.quantity !== undefined && changes.quantity <= order.filledQuantity) {
+        return null;
+    }
+
+    // Old and new values of what actually changed, for the audit trail
+    const modified = [];
+    ["quantity", "price", "triggerPrice", "validity"].forEach((field) => {
+        if (changes[field] === undefined || changes[field] === order[field]) return;
+        modified.push({ field, from: order[field], to: changes[field] });
+        order[field] = changes[field];
+    });
+    order.remainingQuantity = order.quantity - order.filledQuantity;
+    order.orderValue = order.calculateOrderValue();
+
+    // A new trigger has to be crossed again before the stop fires
+    if (changes.triggerPrice !== undefined && order.filledQuantity === 0) {
+        order.triggeredAt = undefined;
+    }
+
+    await order.save();
+    executionEvents.emit("modify", { order, changes: modified, actor });
+
+    return order.status === AMO_STATUS ? order : tryMatchOrder(order);
+});
+
+// Re-match every resting order for a symbol after its price moves
+const processSymbol = (symbol) => enqueue(async () => {
+    const orders = await OrdersModel.find({
+        symbol,
+        status: { $in: WORKING_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    for (const order of orders) {
+        await tryMatchOrder(order);
+    }
+});
+
+// DAY orders still working when the exchange shuts for the day are cancelled.
+// `before` limits expiry to orders placed before that moment.
+const expireDayOrders = (exchange, before) => enqueue(async () => {
+    const filter = {
+        exchange,
+        validity: "DAY",
+        status: { $in: WORKING_STATUSES }
+    };
+    // AMOs belong to the session they were released into, not the day they were placed
+    if (before) {
+        filter.$or = [
+            { releasedAt: { $lt: before } },
+            { releasedAt: { $exists: false }, createdAt: { $lt: before } }
+        ];
+    }
+
+    const orders = await OrdersModel.find(filter);
+
+    for (const order of orders) {
+        const previousStatus = order.status;
+        order.status = "CANCELLED";
+        order.rejectionReason = "DAY order expired at market close";
+        await saveAndNotify(order, previousStatus);
+    }
+    return orders.length;
+});
+
+// Hand queued after-market orders to the normal order flow. Orders the current
+// session does not take (e.g. SL or IOC orders in pre-open) wait for the next one.
+const releaseAmoOrders = (exchange) => enqueue(async () => {
+    const orders = await OrdersModel.find({ exchange, status: AMO_STATUS })
+        .sort({ createdAt: 1 });
+
+    let released = 0;
+    for (const order of orders) {
+        if (checkOrderWindow(order)) continue;
+
+        order.status = "PENDING";
+        order.releasedAt = new Date();
+        await saveAndNotify(order, AMO_STATUS);
+        released += 1;
+    }
+    return released;
+});
+
+// Match everything that has been waiting, e.g. when the market opens
+const processWorkingOrders = async (exchange) => {
+    const filter = { status: { $in: WORKING_STATUSES } };
+    if (exchange) filter.exchange = exchange;
+
+    const symbols = await OrdersModel.distinct("symbol", filter);
+    await Promise.all(symbols.map(processSymbol));
+};
+
+// AMOs go live with the first session of the day that accepts them (pre-open, or normal)
+const isReleaseSession = (session) => session === "preOpen" || session === "normal";
+
+const onSessionChange = ({ exchange, session }) => {
+    let task;
+    if (session === null) {
+        task = expireDayOrders(exchange);
+    } else if (isReleaseSession(session)) {
+        task = releaseAmoOrders(exchange).then(() => processWorkingOrders(exchange));
+    } else {
+        task = processWorkingOrders(exchange);
+    }
+
+    task.catch((error) => {
+        console.error("Session Change Error:", error);
+    });
+};
+
+const onTick = (quote) => {
+    processSymbol(quote.symbol).catch((error) => {
+        console.error("Order Matching Error:", error);
+    });
+};
+
+// Pick up orders left working from a previous run and start listening to ticks.
+// DAY orders from earlier days missed their close while the server was down.
+const startExecutionEngine = async () => {
+    marketData.marketEvents.on("tick", onTick);
+    calendarEvents.on("sessionChange", onSessionChange);
+
+    const startOfToday = atIST(toIST(new Date()).dateKey, "00:00");
+    await Promise.all(["NSE", "BSE"].map(async (exchange) => {
+        await expireDayOrders(exchange, startOfToday);
+        if (isReleaseSession(getCurrentSession(new Date(), exchange))) {
+            await releaseAmoOrders(exchange);
+        }
+    }));
+    await processWorkingOrders();
+};
+
+const stopExecutionEngine = () => {
+    marketData.marketEvents.off("tick", onTick);
+    calendarEvents.off("sessionChange", onSessionChange);
+};
+
+module.exports = {
+    executionEvents,
+    admitOrder,
+    executeOrder,
+    cancelOrder,
+    rejectOrder,
+    modifyOrder,
+    runExclusive,
+    processSymbol,
+    expireDayOrders,
+    releaseAmoOrders,
+    startExecutionEngine,
+    stopExecutionEngine
+};
@@ -0,0 +1,278 @@
+const { OrdersModel } = require("../models/OrdersModel");
+const marketData = require("./marketData");
+const { admitOrder, executeOrder } = require("./orderExecution");
+const { checkHoldingsForSell } = require("./portfolioSettlement");
+const { checkRisk } = require("./riskChecks");
+const { checkFunds, blockOrderMargin } = require("./funds");
+const { findInstrument, validateSymbol } = require("./instruments");
+const { checkOrderWindow, checkAmoWindow } = require("./marketCalendar");
+
+// Varieties whose orders are worked by their own service rather than sent straight
+// to the engine: variety -> { validate(params), submit(order) }
+const varietyHandlers = new Map();
+
+const registerOrderVariety = (variety, handler) => {
+    varietyHandlers.set(variety, handler);
+};
+
+// Prices must land on the instrument's tick (e.g. multiples of 0.05)
+const isOnTick = (value, tickSize) => {
+    const ticks = value / tickSize;
+    return Math.abs(ticks - Math.round(ticks)) < 1e-6;
+};
+
+// Instrument, lot size, tick size and SL trigger checks shared by place and modify.
+// Returns { error, message } for a 400 response, or null when the order is valid.
+const checkOrderParams = ({ symbol, exchange, quantity, price, triggerPrice, orderType, transactionType }) => {
+    // Symbol must exist in the instrument master for the chosen exchange
+    const symbolError = validateSymbol(symbol, exchange);
+    if (symbolError) {
+        return { error: "Invalid symbol", message: symbolError };
+    }
+
+    const instrument = findInstrument(symbol, exchange);
+    if (quantity % instrument.lotSize !== 0) {
+        return {
+            error: "Invalid quantity",
+            message: `Quantity must be a multiple of the lot size (${instrument.lotSize})`
+        };
+    }
+
+    const pricesToCheck = [
+        ["LIMIT", "SL"].includes(orderType) ? price : null,
+        ["SL", "SL-M"].includes(orderType) ? triggerPrice : null
+    ].filter((value) => value !== null && value !== undefined);
+    if (pricesToCheck.some((value) => !isOnTick(Number(value), instrument.tickSize))) {
+        return {
+            error: "Invalid price",
+            message: `Prices must be in multiples of the tick size (${instrument.tickSize})`
+        };
+    }
+
+    if (orderType === "SL" && transactionType === "BUY" && Number(triggerPrice) > Number(price)) {
+        return {
+            error: "Invalid trigger price",
+            message: "For SL buy orders, trigger price cannot be above the limit price"
+        };
+    }
+
+    if (orderType === "SL" && transactionType === "SELL" && Number(triggerPrice) < Number(price)) {
+        return {
+            error: "Invalid trigger price",
+            message: "For SL sell orders, trigger price cannot be below the limit price"
+        };
+    }
+
+    return null;
+};
+
+// Entry rules for bracket (bo) and cover (co) orders; returns { error, message } or null.
+// Both are intraday-only DAY orders. A bracket needs target and stop-loss distances;
+// a cover needs a stop-loss trigger on the protective side of the entry price.
+const checkBracketParams = ({ symbol, exchange, variety, product, validity, orderType, transactionType, price, triggerPrice, squareOff, stopLoss, trailingStopLoss }) => {
+    const label = variety === "bo" ? "Bracket" : "Cover";
+
+    if (product && product !== "MIS") {
+        return { error: "Invalid product", message: `${label} orders are intraday only (MIS)` };
+    }
+    if (validity && validity !== "DAY") {
+        return { error: "Invalid validity", message: `${label} orders must be DAY orders` };
+    }
+
+    const { tickSize } = findInstrument(symbol, exchange);
+
+    if (variety === "bo") {
+        if (!["LIMIT", "SL"].includes(orderType)) {
+            return { error: "Invalid order type", message: "Bracket order entries must be LIMIT or SL orders" };
+        }
+        if (!(squareOff > 0) || !(stopLoss > 0)) {
+            return { error: "Invalid bracket", message: "Bracket orders need both squareOff and stopLoss" };
+        }
+        const distances = [squareOff, stopLoss, trailingStopLoss].filter((value) => value !== undefined);
+        if (distances.some((value) => !isOnTick(Number(value), tickSize))) {
+            return {
+                error: "Invalid bracket",
+                message: `squareOff, stopLoss and trailingStopLoss must be in multiples of the tick size (${tickSize})`
+            };
+        }
+        return null;
+    }
+
+    if (!["MARKET", "LIMIT"].includes(orderType)) {
+        return { error: "Invalid order type", message: "Cover order entries must be MARKET or LIMIT orders" };
+    }
+    if (!(triggerPrice > 0) || !isOnTick(Number(triggerPrice), tickSize)) {
+        return {
+            error: "Invalid trigger price",
+            message: `Cover orders need a stop-loss trigger price in multiples of the tick size (${tickSize})`
+        };
+    }
+
+    const entryPrice = orderType === "LIMIT" ? Number(price) : marketData.getLTP(symbol);
+    if (entryPrice) {
+        const wrongSide = transactionType === "BUY"
+            ? Number(triggerPrice) >= entryPrice
+            : Number(triggerPrice) <= entryPrice;
+        if (wrongSide) {
+            return {
+                error: "Invalid trigger price",
+                message: `For cover ${transactionType.toLowerCase()} orders, the stop-loss trigger must be ${transactionType === "BUY" ? "below" : "above"} the entry price (${entryPrice})`
+            };
+        }
+    }
+    return null;
+};
+
+// Parameter checks for a new order; returns { error, message } for a 400, or null.
+// Legs of a bracket/cover order are placed by the engine, only entries are checked.
+const validateOrderParams = (params) => {
+    const paramsError = checkOrderParams(params);
+    if (paramsError) return paramsError;
+
+    const isBracket = params.variety === "bo" || params.variety === "co";
+    if (isBracket && !params.parentOrderId) {
+        return checkBracketParams(params);
+    }
+
+    const handler = varietyHandlers.get(params.variety);
+    if (handler && !params.parentOrderId) {
+        return handler.validate(params);
+    }
+    return null;
+};
+
+// Orders must fit the current market session (AMOs must be placed outside it),
+// pass the pre-trade risk limits, and CNC sells must be covered by holdings that
+// are not already being sold. Returns a rejection reason or null. Also run on
+// modified orders; an AMO that has been released is held to the session rules.
+const getRejectionReason = async (order) => {
+    const isQueuedAmo = order.variety === "amo" && (!order.status || order.status === "AMO_RECEIVED");
+    const windowError = isQueuedAmo ? checkAmoWindow(order) : checkOrderWindow(order);
+    return windowError || await checkRisk(order) || await checkHoldingsForSell(order);
+};
+
+// Dry run of placeOrder: resolves to { error } for invalid parameters,
+// { rejectionReason } if the order would be rejected, or {} if it would be accepted
+const checkOrder = async (params) => {
+    const order = {
+        ...params,
+        exchange: params.exchange || "NSE",
+        validity: params.validity || "DAY"
+    };
+    const error = validateOrderParams(order);
+    if (error) return { error };
+
+    // Same defaults the order schema would apply
+    const isBracket = order.variety === "bo" || order.variety === "co";
+    order.product = isBracket ? "MIS" : order.product || "CNC";
+
+    const rejectionReason = await getRejectionReason(order) || await checkFunds(order);
+    return rejectionReason ? { rejectionReason } : {};
+};
+
+// Create an order and run it through the pre-trade checks and the execution engine.
+// Used by POST /orders/new and by anything else that places orders on a user's behalf;
+// `actor` says which of those it was for the order's audit trail.
+// Resolves to { error } (with error/message for a 400) when the parameters are invalid,
+// otherwise to { order } - which may already be filled, working, queued or rejected.
+const placeOrder = async ({
+    userId,
+    symbol,
+    exchange = "NSE",
+    quantity,
+    price,
+    triggerPrice,
+    transactionType,
+    orderType,
+    validity,
+    product,
+    variety,
+    squareOff,
+    stopLoss,
+    trailingStopLoss,
+    icebergQuantity,
+    twapDuration,
+    twapSlices,
+    parentOrderId,
+    tags,
+    gttId,
+    actor = "USER"
+}) => {
+    const paramsError = validateOrderParams({
+        symbol,
+        exchange,
+        quantity,
+        price,
+        triggerPrice,
+        transactionType,
+        orderType,
+        validity,
+        product,
+        variety,
+        squareOff,
+        stopLoss,
+        trailingStopLoss,
+        icebergQuantity,
+        twapDuration,
+        twapSlices,
+        parentOrderId
+    });
+    if (paramsError) {
+        return { error: paramsError };
+    }
+
+    const isAmo = variety === "amo";
+    const isBracket = variety === "bo" || variety === "co";
+    const newOrder = new OrdersModel({
+        userId,
+        symbol,
+        quantity,
+        price,
+        transactionType,
+        orderType,
+        validity,
+        triggerPrice,
+        product: isBracket ? "MIS" : product,
+        exchange,
+        variety,
+        squareOff,
+        stopLoss,
+        trailingStopLoss,
+        icebergQuantity,
+        twapDuration,
+        twapSlices,
+        parentOrderId,
+        tags,
+        gttId,
+        status: isAmo ? "AMO_RECEIVED" : "PENDING"
+    });
+
+    // Accepted orders have their margin blocked before the engine can match them,
+    // then regular orders go to the execution engine, which may fill them right
+    // away; AMOs stay queued until the next session starts and registered
+    // varieties are handed to their own service
+    const rejectionReason = await admitOrder(
+        newOrder,
+        async (placed) => await getRejectionReason(placed) || await blockOrderMargin(placed),
+        actor
+    );
+    const handler = parentOrderId ? null : varietyHandlers.get(variety);
+    let order = newOrder;
+    if (!rejectionReason && handler) {
+        order = await handler.submit(newOrder) || newOrder;
+    } else if (!rejectionReason && !isAmo) {
+        order = await executeOrder(newOrder) || newOrder;
+    }
+
+    return { order };
+};
+
+module.exports = {
+    registerOrderVariety,
+    isOnTick,
+    checkOrderParams,
+    checkBracketParams,
+    getRejectionReason,
+    checkOrder,
+    placeOrder
+};
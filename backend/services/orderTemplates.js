@@ -0,0 +1,78 @@
+const { validationResult } = require("express-validator");
+const { orderValidation } = require("../middleware/orderValidation");
+const { checkOrderParams } = require("./orderPlacement");
+
+// Run orderValidation against a single order template outside of a request;
+// resolves to the list of validation errors (empty when the template is valid)
+const validateOrderTemplate = async (template) => {
+    const req = { body: { ...template } };
+    for (const chain of orderValidation) {
+        await chain.run(req);
+    }
+    return validationResult(req).array();
+};
+
+const toNumber = (value) => (value !== undefined && value !== null && value !== "" ? Number(value) : undefined);
+
+// Map an order request (name/qty/mode) onto placeOrder's parameters
+const toOrderParams = (template) => ({
+    symbol: template.name,
+    exchange: template.exchange,
+    quantity: toNumber(template.qty),
+    price: toNumber(template.price),
+    triggerPrice: toNumber(template.triggerPrice),
+    transactionType: template.mode,
+    orderType: template.orderType,
+    validity: template.validity,
+    product: template.product,
+    variety: template.variety,
+    squareOff: toNumber(template.squareOff),
+    stopLoss: toNumber(template.stopLoss),
+    trailingStopLoss: toNumber(template.trailingStopLoss),
+    icebergQuantity: toNumber(template.icebergQuantity),
+    twapDuration: toNumber(template.twapDuration),
+    twapSlices: toNumber(template.twapSlices)
+});
+
+// Order requests to price without placing them (margin and charges previews):
+// either { orders: [...] } or a single POST /orders/new body. Resolves to the
+// orders as placeOrder parameters with its defaults, or to errors keyed by index.
+const validateOrderList = async (requestBody, { maxOrders = 50 } = {}) => {
+    const templates = Array.isArray(requestBody.orders) ? requestBody.orders : [requestBody];
+    if (templates.length === 0 || templates.length > maxOrders) {
+        return { error: { error: "Invalid orders", message: `Send between 1 and ${maxOrders} orders` } };
+    }
+
+    const orderErrors = [];
+    const orders = [];
+    for (const [index, template] of templates.entries()) {
+        const errors = await validateOrderTemplate(template);
+        if (errors.length > 0) {
+            orderErrors.push({ index, errors });
+            continue;
+        }
+
+        const params = toOrderParams(template);
+        const isBracket = params.variety === "bo" || params.variety === "co";
+        params.exchange = params.exchange || "NSE";
+        params.product = isBracket ? "MIS" : params.product || "CNC";
+
+        const paramsError = checkOrderParams(params);
+        if (paramsError) {
+            orderErrors.push({ index, ...paramsError });
+            continue;
+        }
+        orders.push(params);
+    }
+
+    if (orderErrors.length > 0) {
+        return { error: { error: "Invalid orders", orderErrors } };
+    }
+    return { orders };
+};
+
+module.exports = {
+    validateOrderTemplate,
+    toOrderParams,
+    validateOrderList
+};
@@ -0,0 +1,46 @@
+// Portfolio totals for the holdings and positions screens, as 2-decimal strings.
+// Net P&L is what is left once the charges paid on the trades are taken off.
+
+const sum = (items, value) => items.reduce((total, item) => total + (value(item) || 0), 0);
+
+const percentageOf = (value, base) => (base > 0 ? value / base * 100 : 0);
+
+const holdingsMetrics = (holdings) => {
+    const totalInvestment = sum(holdings, (h) => h.investedAmount);
+    const totalPnL = sum(holdings, (h) => h.profitLoss);
+    const totalCharges = sum(holdings, (h) => h.charges);
+
+    return {
+        totalInvestment: totalInvestment.toFixed(2),
+        currentValue: sum(holdings, (h) => h.currentValue).toFixed(2),
+        todaysPnL: sum(holdings, (h) => h.dayChange && h.dayChange.value).toFixed(2),
+        totalPnL: totalPnL.toFixed(2),
+        totalPnLPercentage: percentageOf(totalPnL, totalInvestment).toFixed(2),
+        totalCharges: totalCharges.toFixed(2),
+        netPnL: (totalPnL - totalCharges).toFixed(2)
+    };
+};
+
+// Open quantity is valued at its average price and at the last traded price;
+// P&L includes what was realized on quantity already closed
+const positionsMetrics = (positions) => {
+    const openValue = (p, price) => Math.abs(p.netQuantity) * price * (p.multiplier || 1);
+    const totalInvestment = sum(positions, (p) => openValue(p, p.averagePrice));
+    const totalPnL = sum(positions, (p) => p.profitLoss);
+    const totalCharges = sum(positions, (p) => p.charges);
+
+    return {
+        totalInvestment: totalInvestment.toFixed(2),
+        currentValue: sum(positions, (p) => openValue(p, p.lastTradedPrice)).toFixed(2),
+        dayPnL: sum(positions, (p) => p.dayChange && p.dayChange.value).toFixed(2),
+        totalPnL: totalPnL.toFixed(2),
+        totalPnLPercentage: percentageOf(totalPnL, totalInvestment).toFixed(2),
+        totalCharges: totalCharges.toFixed(2),
+        netPnL: (totalPnL - totalCharges).toFixed(2)
+    };
+};
+
+module.exports = {
+    holdingsMetrics,
+    positionsMetrics
+};
@@ -0,0 +1,217 @@
+const { HoldingsModel } = require("../models/HoldingsModel");
+const { PositionsModel } = require("../models/PositionsModel");
+const { OrdersModel } = require("../models/OrdersModel");
+const marketData = require("./marketData");
+const { findInstrument } = require("./instruments");
+const { calculateCharges } = require("./charges");
+const { snapshotLegs, trackPositionTrip, archivePositionTrip } = require("./positionHistory");
+const { isBtstAllowed, getSellableQuantity, addUnsettledQuantity, removeQuantity } = require("./settlement");
+
+// Quantity already promised to working CNC sell orders for a symbol
+const getOpenSellQuantity = async (userId, symbol, excludeOrderId) => {
+    const orders = await OrdersModel.find({
+        userId,
+        symbol,
+        product: "CNC",
+        transactionType: "SELL",
+        status: { $in: ["AMO_RECEIVED", "PENDING", "TRIGGER_PENDING", "OPEN"] },
+        parentOrderId: { $exists: false },
+        _id: { $ne: excludeOrderId }
+    }).select("remainingQuantity");
+
+    return orders.reduce((sum, o) => sum + o.remainingQuantity, 0);
+};
+
+// Pre-trade check for CNC sells: returns a rejection reason or null
+const checkHoldingsForSell = async (order) => {
+    // Child orders are covered by the check their parent already passed
+    if (order.product !== "CNC" || order.transactionType !== "SELL" || order.parentOrderId) {
+        return null;
+    }
+
+    const holding = await HoldingsModel.findOne({
+        userId: order.userId,
+        symbol: order.symbol
+    });
+    if (!holding) {
+        return `No holdings available to sell for ${order.symbol}`;
+    }
+
+    // A modified order only needs holdings for what it has not sold yet
+    const quantity = order.quantity - (order.filledQuantity || 0);
+    const reserved = await getOpenSellQuantity(order.userId, order.symbol, order._id);
+    if (getSellableQuantity(holding) < quantity + reserved) {
+        const available = Math.max(getSellableQuantity(holding) - reserved, 0);
+        return holding.t1Quantity > 0 && !isBtstAllowed(order.symbol)
+            ? `Insufficient holdings: ${available} of ${order.symbol} available to sell; ${holding.t1Quantity} awaiting T+1 delivery cannot be sold until settled`
+            : `Insufficient holdings: ${available} of ${order.symbol} available to sell`;
+    }
+
+    return null;
+};
+
+// The user's holding in a symbol, or a new empty one ready to buy into
+const findOrCreateHolding = async ({ userId, symbol, exchange }, price, marketPrice) => {
+    const holding = await HoldingsModel.findOne({ userId, symbol });
+    if (holding) return holding;
+
+    const instrument = findInstrument(symbol, exchange) || {};
+    return new HoldingsModel({
+        userId,
+        symbol,
+        exchange,
+        quantity: 0,
+        averageBuyPrice: price,
+        currentMarketPrice: marketPrice,
+        isin: instrument.isin,
+        sector: instrument.sector,
+        industry: instrument.industry,
+        companyName: instrument.name
+    });
+};
+
+// CNC fills go straight to holdings, buys as unsettled (T1) quantity until they
+// are delivered; resolves to the P&L realized by a sell
+const bookHoldingFill = async (order, quantity, price, charges) => {
+    const marketPrice = marketData.getLTP(order.symbol) || price;
+    let holding = await HoldingsModel.findOne({
+        userId: order.userId,
+        symbol: order.symbol
+    });
+
+    let realizedProfitLoss = 0;
+    if (order.transactionType === "BUY") {
+        holding = holding || await findOrCreateHolding(order, price, marketPrice);
+
+        // Average cost covers settled and unsettled shares alike
+        const heldQuantity = holding.quantity + holding.t1Quantity;
+        const totalCost = heldQuantity * holding.averageBuyPrice + quantity * price;
+        addUnsettledQuantity(holding, quantity);
+        holding.averageBuyPrice = totalCost / (heldQuantity + quantity);
+        holding.charges += charges.total;
+    } else {
+        if (!holding || getSellableQuantity(holding) < quantity) {
+            throw new Error(`Cannot settle sell of ${quantity} ${order.symbol}: insufficient holdings`);
+        }
+
+        // Selling does not change the average cost of what is left; the buy
+        // charges of the sold shares leave with them
+        holding.charges -= holding.charges * quantity / (holding.quantity + holding.t1Quantity);
+        removeQuantity(holding, quantity);
+        realizedProfitLoss = (price - holding.averageBuyPrice) * quantity;
+    }
+
+    holding.investedAmount = holding.quantity * holding.averageBuyPrice;
+    holding.lastTradedPrice = marketPrice;
+    holding.updateMarketPrice(marketPrice);
+
+    if (holding.quantity === 0 && holding.t1Quantity === 0) {
+        await holding.deleteOne();
+    } else {
+        await holding.save();
+    }
+    return realizedProfitLoss;
+};
+
+// MIS/NRML fills update the day buy/sell legs of the position; resolves to
+// the change in the position's realized P&L
+const bookPositionFill = async (order, quantity, price, charges) => {
+    const marketPrice = marketData.getLTP(order.symbol) || price;
+    let position = await PositionsModel.findOne({
+        userId: order.userId,
+        symbol: order.symbol,
+        product: order.product
+    });
+
+    if (!position) {
+        position = new PositionsModel({
+            userId: order.userId,
+            symbol: order.symbol,
+            exchange: order.exchange,
+            product: order.product,
+            quantity: 0,
+            averagePrice: price,
+            lastTradedPrice: marketPrice
+        });
+    }
+
+    const previousNet = position.netQuantity;
+    const legsBefore = snapshotLegs(position);
+
+    if (order.transactionType === "BUY") {
+        position.buyQuantity += quantity;
+        position.buyValue += quantity * price;
+        position.buyAveragePrice = position.buyValue / position.buyQuantity;
+    } else {
+        position.sellQuantity += quantity;
+        position.sellValue += quantity * price;
+        position.sellAveragePrice = position.sellValue / position.sellQuantity;
+    }
+
+    // Quantity bought and sold back against each other is closed out
+    const previousRealized = position.realizedProfitLoss;
+    const closedQuantity = Math.min(position.buyQuantity, position.sellQuantity);
+    position.realizedProfitLoss = closedQuantity *
+        (position.sellAveragePrice - position.buyAveragePrice) * position.multiplier;
+
+    position.charges += charges.total;
+    position.quantity = position.netQuantity;
+    position.averagePrice = position.averageBuySellPrice;
+    position.updateMarketPrice(marketPrice);
+
+    const closedTrip = trackPositionTrip(position, previousNet, legsBefore, {
+        side: order.transactionType === "BUY" ? "buy" : "sell",
+        quantity,
+        price
+    });
+
+    await position.save();
+
+    // The fill is booked by now; losing its history entry must not undo that
+    if (closedTrip) {
+        try {
+            await archivePositionTrip(closedTrip);
+        } catch (error) {
+            console.error(`Position History Error for position ${position._id}:`, error);
+        }
+    }
+    return position.realizedProfitLoss - previousRealized;
+};
+
+// Iceberg/TWAP slices share their parent's brokerage cap
+const isAlgoSlice = (order) => Boolean(order.parentOrderId) && ["iceberg", "twap"].includes(order.variety);
+
+// Book a single fill of an order into the user's portfolio. Resolves to the
+// (gross) profit or loss the fill realized and the charges it incurred.
+const settleFill = async (order, quantity, price) => {
+    const capOrder = isAlgoSlice(order)
+        ? await OrdersModel.findById(order.parentOrderId).select("brokerageCharged")
+        : order;
+    const charges = calculateCharges({
+        product: order.product,
+        exchange: order.exchange,
+        transactionType: order.transactionType,
+        quantity,
+        price,
+        brokerageCharged: (capOrder && capOrder.brokerageCharged) || 0
+    });
+
+    const realizedProfitLoss = order.product === "CNC"
+        ? await bookHoldingFill(order, quantity, price, charges)
+        : await bookPositionFill(order, quantity, price, charges);
+
+    // The order itself is saved by the engine right after this
+    if (capOrder === order) {
+        order.brokerageCharged = (order.brokerageCharged || 0) + charges.brokerage;
+    } else if (capOrder) {
+        await OrdersModel.updateOne({ _id: capOrder._id }, { $inc: { brokerageCharged: charges.brokerage } });
+    }
+    return { realizedProfitLoss, charges };
+};
+
+module.exports = {
+    getOpenSellQuantity,
+    findOrCreateHolding,
+    checkHoldingsForSell,
+    settleFill
+};
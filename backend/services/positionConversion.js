@@ -0,0 +1,295 @@
+const { PositionsModel } = require("../models/PositionsModel");
+const { HoldingsModel } = require("../models/HoldingsModel");
+const marketData = require("./marketData");
+const { runExclusive } = require("./orderExecution");
+const { findInstrument } = require("./instruments");
+const { checkConversionFunds } = require("./funds");
+const { getOpenSellQuantity, findOrCreateHolding } = require("./portfolioSettlement");
+const { isMarketOpen, isPastSquareOff, toIST } = require("./marketCalendar");
+const { snapshotLegs } = require("./positionHistory");
+const { getSellableQuantity, addUnsettledQuantity, removeQuantity } = require("./settlement");
+
+// Move quantity of one day leg ("buy" or "sell") across at the source's average
+const moveLeg = (from, to, side, quantity) => {
+    const price = from[`${side}AveragePrice`];
+    from[`${side}Quantity`] -= quantity;
+    from[`${side}Value`] = from[`${side}Quantity`] * price;
+
+    to[`${side}Quantity`] += quantity;
+    to[`${side}Value`] += quantity * price;
+    to[`${side}AveragePrice`] = to[`${side}Value`] / to[`${side}Quantity`];
+};
+
+// Same bookkeeping a fill does after the legs change
+const refreshPosition = (position, marketPrice) => {
+    const closedQuantity = Math.min(position.buyQuantity, position.sellQuantity);
+    position.realizedProfitLoss = closedQuantity *
+        (position.sellAveragePrice - position.buyAveragePrice) * position.multiplier;
+    position.quantity = position.netQuantity;
+    position.averagePrice = position.averageBuySellPrice;
+    position.updateMarketPrice(marketPrice);
+};
+
+const findOrCreatePosition = async (source, product, price, marketPrice) => {
+    const existing = await PositionsModel.findOne({
+        userId: source.userId,
+        symbol: source.symbol,
+        product
+    });
+    if (existing) return existing;
+
+    return new PositionsModel({
+        userId: source.userId,
+        symbol: source.symbol,
+        exchange: source.exchange,
+        product,
+        quantity: 0,
+        averagePrice: price,
+        lastTradedPrice: marketPrice,
+        multiplier: source.multiplier
+    });
+};
+
+// Delivery quantity converted in (or out) during the day moves in (or out) of
+// holdings straight away, as a delivery buy awaiting settlement; CNC positions
+// only show the day's conversions
+const creditHolding = async (position, quantity, price, marketPrice) => {
+    const holding = await findOrCreateHolding(position, price, marketPrice);
+    const heldQuantity = holding.quantity + holding.t1Quantity;
+    const totalCost = heldQuantity * holding.averageBuyPrice + quantity * price;
+    addUnsettledQuantity(holding, quantity);
+    holding.averageBuyPrice = totalCost / (heldQuantity + quantity);
+    holding.investedAmount = holding.quantity * holding.averageBuyPrice;
+    holding.lastTradedPrice = marketPrice;
+    holding.updateMarketPrice(marketPrice);
+    await holding.save();
+    return holding;
+};
+
+// Converting out undoes the most recent delivery buys first
+const debitHolding = async (holding, quantity, marketPrice) => {
+    removeQuantity(holding, quantity, { unsettledFirst: true });
+    holding.investedAmount = holding.quantity * holding.averageBuyPrice;
+    holding.lastTradedPrice = marketPrice;
+    holding.updateMarketPrice(marketPrice);
+
+    if (holding.quantity === 0 && holding.t1Quantity === 0) {
+        await holding.deleteOne();
+        return null;
+    }
+    await holding.save();
+    return holding;
+};
+
+// Parameter and product rules for a conversion; returns { error, message } or null
+const validateConversion = (position, toProduct, quantity) => {
+    const openQuantity = Math.abs(position.netQuantity);
+
+    if (position.product === toProduct) {
+        return { error: "Invalid product", message: `Position is already ${toProduct}` };
+    }
+    if (openQuantity === 0) {
+        return { error: "Nothing to convert", message: "Position has no open quantity to convert" };
+    }
+    if (quantity > openQuantity) {
+        return { error: "Invalid quantity", message: `Only ${openQuantity} of ${position.symbol} can be converted` };
+    }
+
+    if (toProduct === "CNC" && position.netQuantity < 0) {
+        return { error: "Invalid product", message: "Only long positions can be converted to CNC" };
+    }
+    return validateTarget(position, toProduct, quantity);
+};
+
+// Lot size and trading-window rules shared by every conversion
+const validateTarget = ({ symbol, exchange }, toProduct, quantity) => {
+    const { lotSize } = findInstrument(symbol, exchange) || { lotSize: 1 };
+    if (quantity % lotSize !== 0) {
+        return { error: "Invalid quantity", message: `Quantity must be a multiple of the lot size (${lotSize})` };
+    }
+
+    if (toProduct === "MIS" && (!isMarketOpen(new Date(), exchange) || isPastSquareOff(new Date(), exchange))) {
+        return {
+            error: "Invalid product",
+            message: "Positions can only be converted to MIS during market hours, before the intraday square-off time"
+        };
+    }
+    return null;
+};
+
+// Move all or part of a position's open quantity to another product, merging
+// into the user's existing position in that product. Resolves to null when the
+// position does not exist, to { error } (with error/message for a 400) when the
+// conversion is not allowed, otherwise to { from, to, holding }. Runs on the
+// execution engine's queue, so no fill can land on either position mid-way.
+const convertPosition = (userId, positionId, { toProduct, quantity }) => runExclusive(async () => {
+    const source = await PositionsModel.findOne({ _id: positionId, userId });
+    if (!source) return null;
+
+    const convertQuantity = quantity || Math.abs(source.netQuantity);
+    const validationError = validateConversion(source, toProduct, convertQuantity);
+    if (validationError) return { error: validationError };
+
+    const side = source.netQuantity > 0 ? "buy" : "sell";
+    const price = source[`${side}AveragePrice`];
+    const marketPrice = marketData.getLTP(source.symbol) || source.lastTradedPrice;
+
+    const target = await findOrCreatePosition(source, toProduct, price, marketPrice);
+    if (target.netQuantity * source.netQuantity < 0) {
+        return {
+            error: {
+                error: "Opposite position",
+                message: `You have an opposite ${toProduct} position in ${source.symbol}; square it off first`
+            }
+        };
+    }
+
+    // Shares leaving CNC must still be in holdings and not promised to a sell order
+    let holding = null;
+    if (source.product === "CNC") {
+        holding = await HoldingsModel.findOne({ userId, symbol: source.symbol });
+        const reserved = await getOpenSellQuantity(userId, source.symbol);
+        if (!holding || getSellableQuantity(holding) < convertQuantity + reserved) {
+            return {
+                error: {
+                    error: "Insufficient holdings",
+                    message: `Only ${holding ? Math.max(getSellableQuantity(holding) - reserved, 0) : 0} of ${source.symbol} can be moved out of holdings`
+                }
+            };
+        }
+    }
+
+    const fundsReason = await checkConversionFunds({
+        userId,
+        symbol: source.symbol,
+        transactionType: side === "buy" ? "BUY" : "SELL",
+        quantity: convertQuantity,
+        price,
+        fromProduct: source.product,
+        toProduct
+    });
+    if (fundsReason) {
+        return { error: { error: "Insufficient funds", message: fundsReason } };
+    }
+
+    // The converted quantity carries its round trip over to the target
+    if (target.netQuantity === 0) {
+        target.openedAt = source.openedAt || source.createdAt;
+        target.openBaseline = snapshotLegs(target);
+    }
+    moveLeg(source, target, side, convertQuantity);
+    if (source.netQuantity === 0) {
+        source.openedAt = undefined;
+        source.openBaseline = undefined;
+    }
+    refreshPosition(source, marketPrice);
+    refreshPosition(target, marketPrice);
+    await source.save();
+    await target.save();
+
+    if (source.product === "CNC") {
+        holding = await debitHolding(holding, convertQuantity, marketPrice);
+    } else if (toProduct === "CNC") {
+        holding = await creditHolding(source, convertQuantity, price, marketPrice);
+    }
+
+    return { from: source, to: target, holding };
+});
+
+// Delivery bought today that is still in holdings; only this can be turned
+// back into an intraday or carry-forward position
+const getTodaysBuyQuantity = (holding) => {
+    const { dateKey } = toIST(new Date());
+    const entry = holding.unsettledBuys.find((buy) => buy.tradeDate === dateKey);
+    return entry ? entry.quantity : 0;
+};
+
+// Move quantity of today's delivery buy in a symbol out of holdings into a
+// MIS or NRML position, at the holding's average price. The shares come off
+// today's unsettled buy, so they never settle, and the buy charges paid on
+// them move to the position. Resolves to null when there is no holding, to
+// { error } like convertPosition, otherwise to { holding, to } (holding is
+// null once emptied).
+const convertHolding = (userId, { symbol, quantity, toProduct }) => runExclusive(async () => {
+    const holding = await HoldingsModel.findOne({ userId, symbol });
+    if (!holding) return null;
+
+    const todaysQuantity = getTodaysBuyQuantity(holding);
+    const convertQuantity = quantity || todaysQuantity;
+    if (todaysQuantity === 0) {
+        return {
+            error: {
+                error: "Nothing to convert",
+                message: `No ${symbol} was bought for delivery today`
+            }
+        };
+    }
+    if (convertQuantity > todaysQuantity) {
+        return {
+            error: {
+                error: "Invalid quantity",
+                message: `Only ${todaysQuantity} of ${symbol} bought today can be converted`
+            }
+        };
+    }
+    const validationError = validateTarget(holding, toProduct, convertQuantity);
+    if (validationError) return { error: validationError };
+
+    // Shares promised to a sell order have to stay in holdings
+    const reserved = await getOpenSellQuantity(userId, symbol);
+    if (getSellableQuantity(holding) < convertQuantity + reserved) {
+        return {
+            error: {
+                error: "Insufficient holdings",
+                message: `Only ${Math.max(getSellableQuantity(holding) - reserved, 0)} of ${symbol} can be moved out of holdings`
+            }
+        };
+    }
+
+    const price = holding.averageBuyPrice;
+    const marketPrice = marketData.getLTP(symbol) || holding.lastTradedPrice;
+
+    const target = await findOrCreatePosition(holding, toProduct, price, marketPrice);
+    if (target.netQuantity < 0) {
+        return {
+            error: {
+                error: "Opposite position",
+                message: `You have an opposite ${toProduct} position in ${symbol}; square it off first`
+            }
+        };
+    }
+
+    const fundsReason = await checkConversionFunds({
+        userId,
+        symbol,
+        transactionType: "BUY",
+        quantity: convertQuantity,
+        price,
+        fromProduct: "CNC",
+        toProduct
+    });
+    if (fundsReason) {
+        return { error: { error: "Insufficient funds", message: fundsReason } };
+    }
+
+    const charges = holding.charges * convertQuantity / (holding.quantity + holding.t1Quantity);
+    holding.charges -= charges;
+
+    if (target.netQuantity === 0) {
+        target.openedAt = new Date();
+        target.openBaseline = snapshotLegs(target);
+    }
+    target.buyQuantity += convertQuantity;
+    target.buyValue += convertQuantity * price;
+    target.buyAveragePrice = target.buyValue / target.buyQuantity;
+    target.charges += charges;
+    refreshPosition(target, marketPrice);
+    await target.save();
+
+    return { holding: await debitHolding(holding, convertQuantity, marketPrice), to: target };
+});
+
+module.exports = {
+    convertPosition,
+    convertHolding
+};
@@ -0,0 +1,194 @@
+const { Types } = require("mongoose");
+const { PositionHistoryModel } = require("../models/PositionHistoryModel");
+
+const IST_TIMEZONE = "+05:30";
+
+const LEG_FIELDS = ["buyQuantity", "buyValue", "sellQuantity", "sellValue", "charges"];
+
+const round = (value) => Number(value.toFixed(2));
+
+const snapshotLegs = (position) =>
+    Object.fromEntries(LEG_FIELDS.map((field) => [field, position[field]]));
+
+// Legs traded since the current round trip opened
+const tripLegs = (position) => {
+    const baseline = position.openBaseline || {};
+    return Object.fromEntries(LEG_FIELDS.map((field) => [field, position[field] - (baseline[field] || 0)]));
+};
+
+// Take `quantity` at `price` off one side ("buy" or "sell") of a set of legs
+const withoutQuantity = (legs, side, quantity, price) => ({
+    ...legs,
+    [`${side}Quantity`]: legs[`${side}Quantity`] - quantity,
+    [`${side}Value`]: legs[`${side}Value`] - quantity * price
+});
+
+const buildTrip = (position, side, legs, closedAt, closeReason) => {
+    const average = (leg) => (legs[`${leg}Quantity`] > 0 ? legs[`${leg}Value`] / legs[`${leg}Quantity`] : 0);
+    const quantity = Math.min(legs.buyQuantity, legs.sellQuantity);
+    const realizedProfitLoss = quantity * (average("sell") - average("buy")) * position.multiplier;
+    const openedAt = position.openedAt || position.createdAt || closedAt;
+
+    return {
+        userId: position.userId,
+        positionId: position._id,
+        symbol: position.symbol,
+        exchange: position.exchange,
+        product: position.product,
+        side,
+        quantity,
+        entryAveragePrice: round(average(side === "LONG" ? "buy" : "sell")),
+        exitAveragePrice: round(average(side === "LONG" ? "sell" : "buy")),
+        realizedProfitLoss: round(realizedProfitLoss),
+        charges: round(legs.charges),
+        netRealizedProfitLoss: round(realizedProfitLoss - legs.charges),
+        openedAt,
+        closedAt,
+        holdingDuration: Math.max(Math.round((closedAt - openedAt) / 1000), 0),
+        closeReason
+    };
+};
+
+// Follow a position through a fill that has just been applied to its legs.
+// Opening out of flat records the baseline; going back to flat (or through it)
+// closes the round trip, which is returned for archiving. `legsBefore` are the
+// position's legs before the fill, `fill` is { side, quantity, price }.
+const trackPositionTrip = (position, previousNet, legsBefore, fill, at = new Date()) => {
+    const net = position.netQuantity;
+    if (previousNet === 0) {
+        if (net !== 0) {
+            position.openedAt = at;
+            position.openBaseline = legsBefore;
+        }
+        return null;
+    }
+
+    const flipped = net !== 0 && Math.sign(net) !== Math.sign(previousNet);
+    if (net !== 0 && !flipped) return null;
+
+    // A fill that goes through flat closes one trip and opens the next with
+    // whatever it traded beyond flat
+    const excess = Math.abs(net);
+    const legs = withoutQuantity(tripLegs(position), fill.side, flipped ? excess : 0, fill.price);
+    const trip = buildTrip(position, previousNet > 0 ? "LONG" : "SHORT", legs, at, "CLOSED");
+
+    if (flipped) {
+        position.openedAt = at;
+        position.openBaseline = withoutQuantity(snapshotLegs(position), fill.side, excess, fill.price);
+    } else {
+        position.openedAt = undefined;
+        position.openBaseline = undefined;
+    }
+    return trip;
+};
+
+// The open round trip of a position being removed by hand, closed at the last
+// traded price; null when the position is already flat
+const squareOffTrip = (position, at = new Date()) => {
+    const net = position.netQuantity;
+    if (net === 0) return null;
+
+    const exitSide = net > 0 ? "sell" : "buy";
+    const legs = withoutQuantity(tripLegs(position), exitSide, -Math.abs(net), position.lastTradedPrice);
+    return buildTrip(position, net > 0 ? "LONG" : "SHORT", legs, at, "SQUARED_OFF");
+};
+
+const archivePositionTrip = (trip) => PositionHistoryModel.create(trip);
+
+const toTripJSON = (trip) => ({
+    id: trip._id,
+    positionId: trip.positionId,
+    symbol: trip.symbol,
+    exchange: trip.exchange,
+    product: trip.product,
+    side: trip.side,
+    quantity: trip.quantity,
+    entryAveragePrice: trip.entryAveragePrice,
+    exitAveragePrice: trip.exitAveragePrice,
+    realizedProfitLoss: trip.realizedProfitLoss,
+    charges: trip.charges,
+    netRealizedProfitLoss: trip.netRealizedProfitLoss,
+    openedAt: trip.openedAt,
+    closedAt: trip.closedAt,
+    holdingDuration: trip.holdingDuration,
+    closeReason: trip.closeReason
+});
+
+// Totals for a group of trips, as an aggregation $group stage
+const summaryGroup = (id) => ({
+    $group: {
+        _id: id,
+        trades: { $sum: 1 },
+        quantity: { $sum: "$quantity" },
+        realizedProfitLoss: { $sum: "$realizedProfitLoss" },
+        charges: { $sum: "$charges" },
+        winners: { $sum: { $cond: [{ $gt: ["$netRealizedProfitLoss", 0] }, 1, 0] } },
+        losers: { $sum: { $cond: [{ $lt: ["$netRealizedProfitLoss", 0] }, 1, 0] } }
+    }
+});
+
+const toSummary = ({ trades = 0, quantity = 0, realizedProfitLoss = 0, charges = 0, winners = 0, losers = 0 } = {}) => ({
+    trades,
+    quantity,
+    realizedProfitLoss: round(realizedProfitLoss),
+    charges: round(charges),
+    winners,
+    losers,
+    netRealizedProfitLoss: round(realizedProfitLoss - charges)
+});
+
+// Closed round trips, newest first and a page at a time, with totals for
+// everything matching the filter per IST trading day and per symbol
+const getPositionHistory = async (userId, { from, to, symbol, product, limit = 50, page = 1 } = {}) => {
+    const filter = { userId: new Types.ObjectId(userId) };
+    if (from || to) {
+        filter.closedAt = {};
+        if (from) filter.closedAt.$gte = from;
+        if (to) filter.closedAt.$lte = to;
+    }
+    if (symbol) filter.symbol = symbol;
+    if (product) filter.product = product;
+
+    const [trips, [totals]] = await Promise.all([
+        PositionHistoryModel.find(filter)
+            .sort({ closedAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        PositionHistoryModel.aggregate([
+            { $match: filter },
+            {
+                $facet: {
+                    total: [summaryGroup(null)],
+                    dayWise: [
+                        summaryGroup({ $dateToString: { format: "%Y-%m-%d", date: "$closedAt", timezone: IST_TIMEZONE } }),
+                        { $sort: { _id: -1 } }
+                    ],
+                    symbolWise: [summaryGroup("$symbol"), { $sort: { _id: 1 } }]
+                }
+            }
+        ])
+    ]);
+
+    const total = toSummary(totals.total[0]);
+    return {
+        positions: trips.map(toTripJSON),
+        pagination: {
+            total: total.trades,
+            page,
+            pages: Math.ceil(total.trades / limit)
+        },
+        summary: {
+            total,
+            dayWise: totals.dayWise.map(({ _id, ...day }) => ({ date: _id, ...toSummary(day) })),
+            symbolWise: totals.symbolWise.map(({ _id, ...group }) => ({ symbol: _id, ...toSummary(group) }))
+        }
+    };
+};
+
+module.exports = {
+    snapshotLegs,
+    trackPositionTrip,
+    squareOffTrip,
+    archivePositionTrip,
+    getPositionHistory
+};
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const { PositionsModel } = require("../models/PositionsModel");
+const { LedgerEntryModel } = require("../models/LedgerEntryModel");
+const { OrdersModel } = require("../models/OrdersModel");
+const marketData = require("./marketData");
+const { getReferencePrice } = require("./margins");
+const { toIST, atIST, isMarketOpen, isPastSquareOff } = require("./marketCalendar");
+
+const DEFAULT_RISK_LIMITS_FILE = path.join(__dirname, "../config/riskLimits.json");
+
+let riskLimits = null;
+
+// Account-wide limits, with optional per-symbol overrides under "symbols"
+const loadRiskLimits = (filePath = process.env.RISK_LIMITS_FILE || DEFAULT_RISK_LIMITS_FILE) => {
+    const config = JSON.parse(fs.readFileSync(path.resolve(filePath), "utf8"));
+    riskLimits = {
+        ...config,
+        symbols: config.symbols || {}
+    };
+    return riskLimits;
+};
+
+// Limits that apply to one symbol; a missing limit is not enforced
+const getRiskLimits = (symbol) => {
+    const limits = riskLimits || loadRiskLimits();
+    const { symbols, ...defaults } = limits;
+    return { ...defaults, ...(symbols[String(symbol).toUpperCase()] || {}) };
+};
+
+const formatAmount = (value) => Number(value.toFixed(2));
+
+const checkOrderValue = (order, limits) => {
+    const price = getReferencePrice(order);
+    if (!limits.maxOrderValue || !price) return null;
+
+    const orderValue = price * order.quantity;
+    if (orderValue > limits.maxOrderValue) {
+        return `Order value ${formatAmount(orderValue)} exceeds the maximum of ${limits.maxOrderValue} per order`;
+    }
+    return null;
+};
+
+const checkQuantity = (order, limits) => {
+    if (limits.maxQuantity && order.quantity > limits.maxQuantity) {
+        return `Quantity ${order.quantity} exceeds the maximum of ${limits.maxQuantity} per order for ${order.symbol}`;
+    }
+    return null;
+};
+
+const OPEN_STATUSES = ["AMO_RECEIVED", "PENDING", "TRIGGER_PENDING", "OPEN"];
+
+const signedQuantity = (transactionType, quantity) => (transactionType === "BUY" ? quantity : -quantity);
+
+// Net quantity the user holds or has working in a symbol: open positions in every
+// product plus the unfilled part of their other open orders
+const getSymbolExposure = async (order) => {
+    const [positions, orders] = await Promise.all([
+        PositionsModel.find({ userId: order.userId, symbol: order.symbol }),
+        OrdersModel.find({
+            userId: order.userId,
+            symbol: order.symbol,
+            status: { $in: OPEN_STATUSES },
+            parentOrderId: { $exists: false },
+            _id: { $ne: order._id }
+        }).select("transactionType remainingQuantity")
+    ]);
+    return positions.reduce((sum, position) => sum + position.netQuantity, 0)
+        + orders.reduce((sum, open) => sum + signedQuantity(open.transactionType, open.remainingQuantity), 0);
+};
+
+// The per-symbol maximum also counts what is already open, so it cannot be
+// reached in several smaller orders; orders that bring the quantity down pass
+const checkSymbolQuantity = async (order, limits) => {
+    if (!limits.maxQuantity) return null;
+
+    const current = await getSymbolExposure(order);
+    const projected = current + signedQuantity(order.transactionType, order.quantity - (order.filledQuantity || 0));
+    if (Math.abs(projected) > limits.maxQuantity && Math.abs(projected) > Math.abs(current)) {
+        return `Quantity ${order.quantity} would take your open quantity in ${order.symbol} to ${Math.abs(projected)}, above the maximum of ${limits.maxQuantity}`;
+    }
+    return null;
+};
+
+// Limit prices and triggers must sit within the band around the last traded price
+const checkPriceBand = (order, limits, ltp) => {
+    if (!limits.priceBandPercent || !ltp) return null;
+
+    const lower = ltp * (1 - limits.priceBandPercent / 100);
+    const upper = ltp * (1 + limits.priceBandPercent / 100);
+    const prices = [
+        ["LIMIT", "SL"].includes(order.orderType) ? ["Price", order.price] : null,
+        ["SL", "SL-M"].includes(order.orderType) ? ["Trigger price", order.triggerPrice] : null
+    ].filter(Boolean);
+
+    for (const [label, value] of prices) {
+        if (Number(value) < lower || Number(value) > upper) {
+            return `${label} ${value} is outside the price band of ${formatAmount(lower)} - ${formatAmount(upper)} (${limits.priceBandPercent}% of LTP ${ltp})`;
+        }
+    }
+    return null;
+};
+
+// A limit order priced far through the market is almost always a typo. A
+// stop-loss order is priced off its trigger, which sits beyond the market by design.
+const checkFatFinger = (order, limits, ltp) => {
+    if (!limits.fatFingerPercent || !ltp || !["LIMIT", "SL"].includes(order.orderType)) return null;
+
+    const [label, reference] = order.orderType === "SL"
+        ? ["trigger price", Number(order.triggerPrice)]
+        : ["LTP", ltp];
+    const deviation = order.transactionType === "BUY"
+        ? (order.price - reference) / reference * 100
+        : (reference - order.price) / reference * 100;
+    if (deviation > limits.fatFingerPercent) {
+        return `${order.transactionType === "BUY" ? "Buy" : "Sell"} price ${order.price} is more than ${limits.fatFingerPercent}% ${order.transactionType === "BUY" ? "above" : "below"} ${label} ${reference}`;
+    }
+    return null;
+};
+
+// Realized P&L, net of charges, booked to the user's ledger since midnight IST
+const getDayRealizedProfitLoss = async (userId) => {
+    const startOfToday = atIST(toIST(new Date()).dateKey, "00:00");
+    const entries = await LedgerEntryModel.find({
+        userId,
+        type: { $in: ["REALIZED_PNL", "CHARGES"] },
+        createdAt: { $gte: startOfToday }
+    }).select("amount");
+    return entries.reduce((sum, entry) => sum + entry.amount, 0);
+};
+
+// Orders that only shrink an existing position (or sell delivery holdings)
+// stay allowed once the loss limit or the MIS cut-off is hit, so users can still get out
+const reducesExposure = async (order) => {
+    if (order.product === "CNC" && order.transactionType === "SELL") return true;
+
+    const position = await PositionsModel.findOne({
+        userId: order.userId,
+        symbol: order.symbol,
+        product: order.product
+    });
+    if (!position || position.netQuantity === 0) return false;
+
+    const closesLong = position.netQuantity > 0 && order.transactionType === "SELL";
+    const closesShort = position.netQuantity < 0 && order.transactionType === "BUY";
+    return (closesLong || closesShort) && order.quantity <= Math.abs(position.netQuantity);
+};
+
+const checkDailyLoss = async (order, limits) => {
+    if (!limits.dailyLossLimit) return null;
+
+    const realized = await getDayRealizedProfitLoss(order.userId);
+    if (realized > -limits.dailyLossLimit) return null;
+
+    return `Daily loss limit of ${limits.dailyLossLimit} reached (realized loss today: ${formatAmount(-realized)}); only orders that reduce existing positions are allowed`;
+};
+
+// No new intraday exposure once MIS positions are being squared off
+const checkMisCutOff = (order) => {
+    const now = new Date();
+    if (order.product !== "MIS" || !isMarketOpen(now, order.exchange) || !isPastSquareOff(now, order.exchange)) {
+        return null;
+    }
+    return "MIS orders are not accepted after the intraday square-off time; only orders that reduce existing positions are allowed";
+};
+
+// Pre-trade risk limits for a new or modified order; returns a rejection reason or null.
+// Child orders (bracket legs, iceberg/TWAP slices) are covered by their parent's check.
+// The loss limit and the MIS cut-off never stop an order that closes out a position.
+const checkRisk = async (order) => {
+    if (order.parentOrderId) return null;
+
+    const limits = getRiskLimits(order.symbol);
+    const ltp = marketData.getLTP(order.symbol);
+
+    const orderReason = checkQuantity(order, limits)
+        || checkOrderValue(order, limits)
+        || checkPriceBand(order, limits, ltp)
+        || checkFatFinger(order, limits, ltp)
+        || await checkSymbolQuantity(order, limits);
+    if (orderReason) return orderReason;
+
+    const exposureReason = checkMisCutOff(order) || await checkDailyLoss(order, limits);
+    if (!exposureReason || await reducesExposure(order)) return null;
+    return exposureReason;
+};
+
+module.exports = {
+    DEFAULT_RISK_LIMITS_FILE,
+    loadRiskLimits,
+    getRiskLimits,
+    getDayRealizedProfitLoss,
+    checkRisk
+};
@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const { HoldingsModel } = require("../models/HoldingsModel");
+const { runExclusive } = require("./executionQueue");
+const { toIST, addTradingDays } = require("./marketCalendar");
+
+const DEFAULT_SETTLEMENT_FILE = path.join(__dirname, "../config/settlement.json");
+
+let settlementConfig = null;
+let lastSettledDate = null;
+let settlementTimer = null;
+
+// Settlement cycle in trading days and the BTST (buy today, sell tomorrow)
+// rules; symbols in the trade-to-trade segment must be delivered before sale
+const loadSettlementConfig = (filePath = process.env.SETTLEMENT_FILE || DEFAULT_SETTLEMENT_FILE) => {
+    const config = JSON.parse(fs.readFileSync(path.resolve(filePath), "utf8"));
+    settlementConfig = {
+        settlementDays: config.settlementDays || 1,
+        btst: {
+            allowed: true,
+            ...config.btst,
+            tradeToTrade: ((config.btst && config.btst.tradeToTrade) || []).map((symbol) => symbol.toUpperCase())
+        }
+    };
+    return settlementConfig;
+};
+
+const getSettlementConfig = () => settlementConfig || loadSettlementConfig();
+
+// Whether shares of a symbol may be sold before they are delivered
+const isBtstAllowed = (symbol) => {
+    const { btst } = getSettlementConfig();
+    return btst.allowed && !btst.tradeToTrade.includes(String(symbol).toUpperCase());
+};
+
+// Shares a holding can sell right now: settled, unpledged shares plus, where
+// BTST is allowed, shares still awaiting delivery
+const getSellableQuantity = (holding) =>
+    holding.availableQuantity + (isBtstAllowed(holding.symbol) ? holding.t1Quantity : 0);
+
+// Book a delivery buy as unsettled; it settles after the settlement cycle
+const addUnsettledQuantity = (holding, quantity, date = new Date()) => {
+    const tradeDate = toIST(date).dateKey;
+    const existing = holding.unsettledBuys.find((entry) => entry.tradeDate === tradeDate);
+    if (existing) {
+        existing.quantity += quantity;
+    } else {
+        holding.unsettledBuys.push({
+            quantity,
+            tradeDate,
+            settlesOn: addTradingDays(date, getSettlementConfig().settlementDays, holding.exchange) || tradeDate
+        });
+    }
+    holding.t1Quantity += quantity;
+};
+
+// Take shares out of unsettled buys, newest or oldest first
+const takeUnsettled = (holding, quantity, newestFirst) => {
+    const entries = [...holding.unsettledBuys].sort((a, b) => a.tradeDate.localeCompare(b.tradeDate));
+    if (newestFirst) entries.reverse();
+
+    let remaining = quantity;
+    for (const entry of entries) {
+        const taken = Math.min(entry.quantity, remaining);
+        entry.quantity -= taken;
+        remaining -= taken;
+        if (remaining === 0) break;
+    }
+    holding.unsettledBuys = holding.unsettledBuys.filter((entry) => entry.quantity > 0);
+    holding.t1Quantity -= quantity - remaining;
+    return quantity - remaining;
+};
+
+// Take shares out of a holding. Sales use settled shares before unsettled
+// ones (oldest first); `unsettledFirst` undoes the most recent buys instead.
+const removeQuantity = (holding, quantity, { unsettledFirst = false } = {}) => {
+    if (unsettledFirst) {
+        const taken = takeUnsettled(holding, quantity, true);
+        holding.quantity -= quantity - taken;
+        return;
+    }
+
+    // Pledged and collateral shares are not for sale
+    const fromSettled = Math.min(holding.availableQuantity, quantity);
+    holding.quantity -= fromSettled;
+    takeUnsettled(holding, quantity - fromSettled, false);
+};
+
+// Move every unsettled buy due on or before `dateKey` into settled quantity.
+// Runs on the execution engine's queue so it never crosses a fill.
+const settleHoldings = (dateKey) => runExclusive(async () => {
+    const holdings = await HoldingsModel.find({ "unsettledBuys.settlesOn": { $lte: dateKey } });
+
+    let settledQuantity = 0;
+    for (const holding of holdings) {
+        const due = holding.unsettledBuys.filter((entry) => entry.settlesOn <= dateKey);
+        const quantity = due.reduce((sum, entry) => sum + entry.quantity, 0);
+
+        holding.unsettledBuys = holding.unsettledBuys.filter((entry) => entry.settlesOn > dateKey);
+        holding.t1Quantity -= quantity;
+        holding.quantity += quantity;
+        holding.investedAmount = holding.quantity * holding.averageBuyPrice;
+        holding.updateMarketPrice(holding.currentMarketPrice);
+        await holding.save();
+        settledQuantity += quantity;
+    }
+    return { dateKey, holdings: holdings.length, quantity: settledQuantity };
+});
+
+const logSettlementError = (error) => {
+    console.error("Settlement Error:", error);
+};
+
+// Settle whatever has fallen due, once per IST day; catching up after a
+// restart or a holiday settles everything overdue
+const checkSettlement = (date = new Date()) => {
+    const { dateKey } = toIST(date);
+    if (lastSettledDate === dateKey) return;
+    lastSettledDate = dateKey;
+
+    settleHoldings(dateKey)
+        .then(({ holdings, quantity }) => {
+            if (holdings > 0) {
+                console.log(`📦 Settled ${quantity} shares across ${holdings} holdings for ${dateKey}`);
+            }
+        })
+        .catch((error) => {
+            lastSettledDate = null;
+            logSettlementError(error);
+        });
+};
+
+const startSettlement = (intervalMs = 60000) => {
+    getSettlementConfig();
+    checkSettlement();
+    settlementTimer = setInterval(() => checkSettlement(), intervalMs);
+};
+
+const stopSettlement = () => {
+    clearInterval(settlementTimer);
+    settlementTimer = null;
+    lastSettledDate = null;
+};
+
+module.exports = {
+    DEFAULT_SETTLEMENT_FILE,
+    loadSettlementConfig,
+    isBtstAllowed,
+    getSellableQuantity,
+    addUnsettledQuantity,
+    removeQuantity,
+    settleHoldings,
+    checkSettlement,
+    startSettlement,
+    stopSettlement
+};
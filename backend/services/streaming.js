@@ -0,0 +1,330 @@
+const { WebSocketServer } = require("ws");
+const { verifyToken } = require("../middleware/auth");
+const marketData = require("./marketData");
+const { MODES, encodeTicks } = require("./tickCodec");
+const { userEventEmitter, getEventsSince } = require("./userEvents");
+
+const STREAM_PATH = "/ws";
+const FLUSH_INTERVAL_MS = Number(process.env.STREAM_FLUSH_INTERVAL_MS) || 250;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_SUBSCRIPTIONS = 3000;
+
+// symbol -> Set of clients subscribed to it
+const subscribers = new Map();
+// userId -> Set of that user's connected clients
+const userClients = new Map();
+let wss = null;
+let flushTimer = null;
+let heartbeatTimer = null;
+
+const send = (client, message) => {
+    if (client.socket.readyState === client.socket.OPEN) {
+        client.socket.send(JSON.stringify(message));
+    }
+};
+
+// Shape a quote for the requested mode (JSON frames)
+const formatTick = (mode, quote) => {
+    const tick = { symbol: quote.symbol, ltp: quote.ltp };
+    if (mode === "ltp") return tick;
+
+    Object.assign(tick, {
+        open: quote.open,
+        high: quote.high,
+        low: quote.low,
+        close: quote.close,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        volume: quote.volume,
+        bidPrice: quote.bidPrice,
+        bidQty: quote.bidQty,
+        askPrice: quote.askPrice,
+        askQty: quote.askQty
+    });
+    if (mode === "quote") return tick;
+
+    return { ...tick, depth: quote.depth, timestamp: quote.timestamp };
+};
+
+const subscribe = (client, symbols, mode) => {
+    const added = [];
+    for (const symbol of symbols) {
+        if (!client.subscriptions.has(symbol) && client.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+            send(client, { type: "error", message: `Subscription limit of ${MAX_SUBSCRIPTIONS} symbols reached` });
+            break;
+        }
+
+        client.subscriptions.set(symbol, mode);
+        if (!subscribers.has(symbol)) subscribers.set(symbol, new Set());
+        subscribers.get(symbol).add(client);
+        added.push(symbol);
+
+        // Send the current quote straight away instead of waiting for a tick
+        const quote = marketData.getQuote(symbol);
+        if (quote) client.pending.set(symbol, quote);
+    }
+    return added;
+};
+
+const unsubscribe = (client, symbols) => {
+    for (const symbol of symbols) {
+        client.subscriptions.delete(symbol);
+        client.pending.delete(symbol);
+
+        const set = subscribers.get(symbol);
+        if (set) {
+            set.delete(client);
+            if (set.size === 0) subscribers.delete(symbol);
+        }
+    }
+};
+
+const sendUserEvent = (client, event) => {
+    if (event.seq <= client.lastSeq) return;
+    client.lastSeq = event.seq;
+    send(client, { type: "event", event });
+};
+
+// Replay stored events after `since`, then switch to live delivery.
+// Live events that arrive during the replay are held back and de-duplicated.
+const resumeUserEvents = async (client, since) => {
+    client.replaying = true;
+    client.lastSeq = since;
+    client.held = [];
+
+    try {
+        let batch;
+        do {
+            batch = await getEventsSince(client.userId, client.lastSeq);
+            batch.forEach((event) => sendUserEvent(client, event));
+        } while (batch.length > 0);
+    } finally {
+        client.replaying = false;
+        client.held.forEach((event) => sendUserEvent(client, event));
+        client.held = [];
+        send(client, { type: "resumed", seq: client.lastSeq });
+    }
+};
+
+const onUserEvent = ({ userId, event }) => {
+    const clients = userClients.get(userId);
+    if (!clients) return;
+    for (const client of clients) {
+        if (client.replaying) {
+            client.held.push(event);
+        } else {
+            sendUserEvent(client, event);
+        }
+    }
+};
+
+// Transient events skip the sequence bookkeeping; a client still replaying
+// will get fresher state from the stored events anyway
+const onTransientEvent = ({ userId, event }) => {
+    const clients = userClients.get(userId);
+    if (!clients) return;
+    for (const client of clients) {
+        if (!client.replaying) send(client, { type: "event", event });
+    }
+};
+
+const normalizeSymbols = (symbols) => (Array.isArray(symbols) ? symbols : [symbols])
+    .filter((s) => typeof s === "string" && s.trim())
+    .map((s) => s.trim().toUpperCase());
+
+// Client messages: { action: "subscribe" | "unsubscribe" | "mode", symbols, mode }
+// or { action: "resume", seq } to replay the user's events after `seq`
+const handleMessage = (client, raw) => {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        return send(client, { type: "error", message: "Messages must be valid JSON" });
+    }
+
+    if (message.action === "resume") {
+        const since = Number(message.seq) || 0;
+        return resumeUserEvents(client, since).catch((error) => {
+            console.error("Stream Resume Error:", error);
+            send(client, { type: "error", message: "Failed to replay events" });
+        });
+    }
+
+    const symbols = normalizeSymbols(message.symbols || []);
+    const mode = message.mode || "ltp";
+
+    if (!MODES.includes(mode)) {
+        return send(client, { type: "error", message: `Mode must be one of ${MODES.join(", ")}` });
+    }
+
+    switch (message.action) {
+        case "subscribe":
+        case "mode": {
+            const added = subscribe(client, symbols, mode);
+            return send(client, { type: "subscribed", symbols: added, mode });
+        }
+        case "unsubscribe":
+            unsubscribe(client, symbols);
+            return send(client, { type: "unsubscribed", symbols });
+        default:
+            return send(client, { type: "error", message: `Unknown action: ${message.action}` });
+    }
+};
+
+// Ticks are conflated per client: only the latest quote per symbol is
+// kept and everything pending is sent in one frame on each flush.
+const onTick = (quote) => {
+    const set = subscribers.get(quote.symbol);
+    if (!set) return;
+    for (const client of set) {
+        client.pending.set(quote.symbol, quote);
+    }
+};
+
+const flush = () => {
+    if (!wss) return;
+
+    for (const client of wss.clients) {
+        const state = client.state;
+        if (!state || state.pending.size === 0) continue;
+
+        const entries = Array.from(state.pending.values(), (quote) => ({
+            mode: state.subscriptions.get(quote.symbol) || "ltp",
+            quote
+        }));
+        state.pending.clear();
+
+        if (client.readyState !== client.OPEN) continue;
+        if (state.binary) {
+            client.send(encodeTicks(entries));
+        } else {
+            client.send(JSON.stringify({
+                type: "ticks",
+                data: entries.map(({ mode, quote }) => formatTick(mode, quote))
+            }));
+        }
+    }
+};
+
+const rejectUpgrade = (socket, status, message) => {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+};
+
+// Token comes from ?token= (browsers cannot set headers) or the Authorization header
+const authenticateUpgrade = (req, url) => {
+    const header = req.headers.authorization;
+    const token = url.searchParams.get("token") || (header && header.split(" ")[1]);
+    if (!token) return null;
+    return verifyToken(token);
+};
+
+const onConnection = (socket, req, user, url) => {
+    const client = {
+        socket,
+        user,
+        userId: String(user.id),
+        binary: url.searchParams.get("format") === "binary",
+        subscriptions: new Map(),
+        pending: new Map(),
+        lastSeq: 0,
+        replaying: false,
+        held: []
+    };
+    socket.state = client;
+    socket.isAlive = true;
+
+    socket.on("pong", () => {
+        socket.isAlive = true;
+    });
+    socket.on("message", (data, isBinary) => {
+        if (!isBinary) handleMessage(client, data.toString());
+    });
+    socket.on("close", () => {
+        unsubscribe(client, Array.from(client.subscriptions.keys()));
+
+        const clients = userClients.get(client.userId);
+        if (clients) {
+            clients.delete(client);
+            if (clients.size === 0) userClients.delete(client.userId);
+        }
+    });
+
+    if (!userClients.has(client.userId)) userClients.set(client.userId, new Set());
+    userClients.get(client.userId).add(client);
+
+    send(client, { type: "connected", format: client.binary ? "binary" : "json", modes: MODES });
+
+    // ?since=<seq> resumes the user's event stream right after connecting
+    if (url.searchParams.has("since")) {
+        handleMessage(client, JSON.stringify({ action: "resume", seq: url.searchParams.get("since") }));
+    }
+};
+
+// Attach the streaming endpoint to the HTTP server Express listens on
+const attachStreaming = (server) => {
+    wss = new WebSocketServer({ noServer: true });
+    wss.on("connection", onConnection);
+
+    server.on("upgrade", (req, socket, head) => {
+        const url = new URL(req.url, "http://localhost");
+        if (url.pathname !== STREAM_PATH) {
+            return rejectUpgrade(socket, 404, "Not Found");
+        }
+
+        let user;
+        try {
+            user = authenticateUpgrade(req, url);
+        } catch (error) {
+            return rejectUpgrade(socket, 401, error.name === "TokenExpiredError" ? "Token Expired" : "Unauthorized");
+        }
+        // The events channel is keyed on the user's id
+        if (!user || !user.id) {
+            return rejectUpgrade(socket, 401, "Unauthorized");
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            wss.emit("connection", ws, req, user, url);
+        });
+    });
+
+    marketData.marketEvents.on("tick", onTick);
+    userEventEmitter.on("event", onUserEvent);
+    userEventEmitter.on("transient", onTransientEvent);
+    flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+
+    // Drop connections that stopped answering pings
+    heartbeatTimer = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    return wss;
+};
+
+const closeStreaming = () => {
+    marketData.marketEvents.off("tick", onTick);
+    userEventEmitter.off("event", onUserEvent);
+    userEventEmitter.off("transient", onTransientEvent);
+    clearInterval(flushTimer);
+    clearInterval(heartbeatTimer);
+    subscribers.clear();
+    userClients.clear();
+    if (wss) {
+        wss.clients.forEach((socket) => socket.terminate());
+        wss.close();
+        wss = null;
+    }
+};
+
+module.exports = {
+    STREAM_PATH,
+    attachStreaming,
+    closeStreaming
+};
@@ -0,0 +1,13 @@
+// Serial task queue: each task starts only after the previous one settled,
+// so read-modify-write sequences on the same documents never interleave.
+const createTaskQueue = () => {
+    let queue = Promise.resolve();
+
+    return (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+};
+
+module.exports = { createTaskQueue };
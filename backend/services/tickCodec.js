@@ -0,0 +1,128 @@
+// Compact binary encoding for market ticks.
+//
+// Frame:   uint16 packet count, then for each packet a uint16 byte length
+//          followed by the packet itself (big-endian throughout).
+// Packet:  uint8 mode, uint8 symbol length, symbol (ASCII), int32 ltp
+//          quote adds int32 open/high/low/close, uint32 volume,
+//                     int32 bid, uint32 bid qty, int32 ask, uint32 ask qty
+//          full adds uint32 timestamp (seconds) and 5 buy + 5 sell levels
+//                     of int32 price, uint32 quantity
+// Prices are sent in paise (price * 100) to keep them integral.
+
+const MODES = ["ltp", "quote", "full"];
+const DEPTH_LEVELS = 5;
+
+const toPaise = (price) => Math.round((price || 0) * 100);
+const fromPaise = (value) => value / 100;
+
+const packetSize = (mode, symbol) => {
+    let size = 2 + symbol.length + 4;
+    if (mode !== "ltp") size += 4 * 4 + 4 + 4 * 4;
+    if (mode === "full") size += 4 + DEPTH_LEVELS * 2 * 8;
+    return size;
+};
+
+const encodePacket = (buffer, offset, { mode, quote }) => {
+    let pos = offset;
+    const symbol = quote.symbol;
+
+    buffer.writeUInt8(MODES.indexOf(mode), pos++);
+    buffer.writeUInt8(symbol.length, pos++);
+    pos += buffer.write(symbol, pos, "ascii");
+    pos = buffer.writeInt32BE(toPaise(quote.ltp), pos);
+
+    if (mode === "ltp") return pos;
+
+    pos = buffer.writeInt32BE(toPaise(quote.open), pos);
+    pos = buffer.writeInt32BE(toPaise(quote.high), pos);
+    pos = buffer.writeInt32BE(toPaise(quote.low), pos);
+    pos = buffer.writeInt32BE(toPaise(quote.close), pos);
+    pos = buffer.writeUInt32BE(quote.volume || 0, pos);
+    pos = buffer.writeInt32BE(toPaise(quote.bidPrice), pos);
+    pos = buffer.writeUInt32BE(quote.bidQty || 0, pos);
+    pos = buffer.writeInt32BE(toPaise(quote.askPrice), pos);
+    pos = buffer.writeUInt32BE(quote.askQty || 0, pos);
+
+    if (mode === "quote") return pos;
+
+    pos = buffer.writeUInt32BE(Math.floor(new Date(quote.timestamp).getTime() / 1000), pos);
+    const depth = quote.depth || { buy: [], sell: [] };
+    ["buy", "sell"].forEach((side) => {
+        for (let i = 0; i < DEPTH_LEVELS; i++) {
+            const level = depth[side][i] || { price: 0, quantity: 0 };
+            pos = buffer.writeInt32BE(toPaise(level.price), pos);
+            pos = buffer.writeUInt32BE(level.quantity, pos);
+        }
+    });
+    return pos;
+};
+
+// Encode a list of { mode, quote } entries into one binary frame
+const encodeTicks = (entries) => {
+    const sizes = entries.map(({ mode, quote }) => packetSize(mode, quote.symbol));
+    const buffer = Buffer.alloc(2 + sizes.reduce((sum, size) => sum + 2 + size, 0));
+
+    let offset = buffer.writeUInt16BE(entries.length, 0);
+    entries.forEach((entry, i) => {
+        offset = buffer.writeUInt16BE(sizes[i], offset);
+        offset = encodePacket(buffer, offset, entry);
+    });
+    return buffer;
+};
+
+// Decode a binary frame back into plain tick objects
+const decodeTicks = (buffer) => {
+    const ticks = [];
+    const count = buffer.readUInt16BE(0);
+    let offset = 2;
+
+    for (let n = 0; n < count; n++) {
+        const length = buffer.readUInt16BE(offset);
+        let pos = offset + 2;
+        offset = pos + length;
+
+        const mode = MODES[buffer.readUInt8(pos++)];
+        const symbolLength = buffer.readUInt8(pos++);
+        const symbol = buffer.toString("ascii", pos, pos + symbolLength);
+        pos += symbolLength;
+
+        const readPrice = () => {
+            const value = fromPaise(buffer.readInt32BE(pos));
+            pos += 4;
+            return value;
+        };
+        const readUInt = () => {
+            const value = buffer.readUInt32BE(pos);
+            pos += 4;
+            return value;
+        };
+
+        const tick = { mode, symbol, ltp: readPrice() };
+        if (mode !== "ltp") {
+            Object.assign(tick, {
+                open: readPrice(),
+                high: readPrice(),
+                low: readPrice(),
+                close: readPrice(),
+                volume: readUInt(),
+                bidPrice: readPrice(),
+                bidQty: readUInt(),
+                askPrice: readPrice(),
+                askQty: readUInt()
+            });
+        }
+        if (mode === "full") {
+            tick.timestamp = new Date(readUInt() * 1000);
+            tick.depth = { buy: [], sell: [] };
+            ["buy", "sell"].forEach((side) => {
+                for (let i = 0; i < DEPTH_LEVELS; i++) {
+                    tick.depth[side].push({ price: readPrice(), quantity: readUInt() });
+                }
+            });
+        }
+        ticks.push(tick);
+    }
+    return ticks;
+};
+
+module.exports = { MODES, encodeTicks, decodeTicks };
@@ -0,0 +1,218 @@
+const EventEmitter = require("events");
+const { UserEventModel } = require("../models/UserEventModel");
+const { UserEventCounterModel } = require("../models/UserEventCounterModel");
+const { HoldingsModel } = require("../models/HoldingsModel");
+const { PositionsModel } = require("../models/PositionsModel");
+const { executionEvents } = require("./orderExecution");
+const { gttEvents } = require("./gtt");
+const { squareOffEvents } = require("./autoSquareOff");
+const { createTaskQueue } = require("./taskQueue");
+
+const userEventEmitter = new EventEmitter();
+userEventEmitter.setMaxListeners(0);
+
+// Events are numbered per user; publishing is serialised so numbers never collide
+const enqueue = createTaskQueue();
+// Users whose counter has been checked against their stored events
+const seededUsers = new Set();
+
+const nextSeq = async (userId) => {
+    const key = String(userId);
+    if (!seededUsers.has(key)) {
+        // Carry on from events stored before the user had a counter
+        const latest = await UserEventModel.findOne({ userId })
+            .sort({ seq: -1 })
+            .select("seq");
+        if (latest) {
+            await UserEventCounterModel.updateOne({ userId }, { $max: { seq: latest.seq } }, { upsert: true });
+        }
+        seededUsers.add(key);
+    }
+
+    const counter = await UserEventCounterModel.findOneAndUpdate(
+        { userId },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+const toEventJSON = (event) => ({
+    seq: event.seq,
+    type: event.type,
+    data: event.data,
+    createdAt: event.createdAt
+});
+
+// Persist an event for a user and push it to live listeners
+const publishUserEvent = (userId, type, data) => enqueue(async () => {
+    const seq = await nextSeq(userId);
+    const event = await UserEventModel.create({ userId, seq, type, data });
+    userEventEmitter.emit("event", { userId: String(userId), event: toEventJSON(event) });
+    return event;
+});
+
+// Push an event to live listeners only. Transient events carry no sequence
+// number, are never replayed and may be missed while disconnected; they are
+// for updates a client can always catch up on from the next stored event.
+const pushTransientEvent = (userId, type, data) => {
+    userEventEmitter.emit("transient", {
+        userId: String(userId),
+        event: { type, data, transient: true, createdAt: new Date() }
+    });
+};
+
+// Events after a given sequence number, oldest first
+const getEventsSince = async (userId, since = 0, limit = 500) => {
+    const events = await UserEventModel.find({ userId, seq: { $gt: since } })
+        .sort({ seq: 1 })
+        .limit(limit);
+    return events.map(toEventJSON);
+};
+
+const orderSummary = (order) => ({
+    orderId: order._id,
+    symbol: order.symbol,
+    exchange: order.exchange,
+    transactionType: order.transactionType,
+    orderType: order.orderType,
+    variety: order.variety,
+    product: order.product,
+    quantity: order.quantity,
+    price: order.price,
+    triggerPrice: order.triggerPrice,
+    filledQuantity: order.filledQuantity,
+    remainingQuantity: order.remainingQuantity,
+    averagePrice: order.averagePrice,
+    status: order.status,
+    rejectionReason: order.rejectionReason
+});
+
+const holdingSummary = (holding) => ({
+    holdingId: holding._id,
+    symbol: holding.symbol,
+    exchange: holding.exchange,
+    quantity: holding.quantity,
+    t1Quantity: holding.t1Quantity,
+    availableQuantity: holding.availableQuantity,
+    averageBuyPrice: holding.averageBuyPrice,
+    currentMarketPrice: holding.currentMarketPrice,
+    currentValue: holding.currentValue,
+    profitLoss: holding.profitLoss,
+    dayChange: holding.dayChange
+});
+
+const positionSummary = (position) => ({
+    positionId: position._id,
+    symbol: position.symbol,
+    exchange: position.exchange,
+    product: position.product,
+    netQuantity: position.netQuantity,
+    buyQuantity: position.buyQuantity,
+    sellQuantity: position.sellQuantity,
+    averagePrice: position.averagePrice,
+    lastTradedPrice: position.lastTradedPrice,
+    realizedProfitLoss: position.realizedProfitLoss,
+    unrealizedProfitLoss: position.unrealizedProfitLoss,
+    profitLoss: position.profitLoss
+});
+
+const gttSummary = (gtt) => ({
+    gttId: gtt._id,
+    symbol: gtt.symbol,
+    exchange: gtt.exchange,
+    type: gtt.type,
+    status: gtt.status,
+    triggerValues: gtt.triggerValues,
+    expiresAt: gtt.expiresAt,
+    lastTrigger: gtt.triggerHistory[gtt.triggerHistory.length - 1]
+});
+
+const logPublishError = (error) => {
+    console.error("User Event Error:", error);
+};
+
+const onStatusChange = ({ order, previousStatus }) => {
+    publishUserEvent(order.userId, "ORDER_UPDATE", {
+        ...orderSummary(order),
+        previousStatus
+    }).catch(logPublishError);
+};
+
+const onModify = ({ order }) => {
+    publishUserEvent(order.userId, "ORDER_UPDATE", {
+        ...orderSummary(order),
+        modified: true
+    }).catch(logPublishError);
+};
+
+const onFill = ({ order, quantity, price }) => {
+    publishUserEvent(order.userId, "ORDER_FILL", {
+        ...orderSummary(order),
+        fill: { quantity, price },
+        partial: order.remainingQuantity > 0
+    }).catch(logPublishError);
+};
+
+// Re-marks (price-only changes) go out live; everything else is stored
+const onHoldingChange = ({ operation, doc }) => {
+    if (operation === "remark") {
+        pushTransientEvent(doc.userId, "HOLDING_UPDATE", { ...holdingSummary(doc), remarked: true });
+        return;
+    }
+    publishUserEvent(doc.userId, "HOLDING_UPDATE", {
+        ...holdingSummary(doc),
+        deleted: operation === "delete"
+    }).catch(logPublishError);
+};
+
+const onPositionChange = ({ operation, doc }) => {
+    if (operation === "remark") {
+        pushTransientEvent(doc.userId, "POSITION_UPDATE", { ...positionSummary(doc), remarked: true });
+        return;
+    }
+    publishUserEvent(doc.userId, "POSITION_UPDATE", {
+        ...positionSummary(doc),
+        deleted: operation === "delete"
+    }).catch(logPublishError);
+};
+
+const onGttUpdate = ({ gtt, previousStatus }) => {
+    publishUserEvent(gtt.userId, "GTT_UPDATE", {
+        ...gttSummary(gtt),
+        previousStatus
+    }).catch(logPublishError);
+};
+
+const onSquareOffSummary = ({ userId, summary }) => {
+    publishUserEvent(userId, "SQUARE_OFF_SUMMARY", summary).catch(logPublishError);
+};
+
+const startUserEvents = () => {
+    executionEvents.on("statusChange", onStatusChange);
+    executionEvents.on("fill", onFill);
+    executionEvents.on("modify", onModify);
+    HoldingsModel.on("change", onHoldingChange);
+    PositionsModel.on("change", onPositionChange);
+    gttEvents.on("update", onGttUpdate);
+    squareOffEvents.on("summary", onSquareOffSummary);
+};
+
+const stopUserEvents = () => {
+    executionEvents.off("statusChange", onStatusChange);
+    executionEvents.off("fill", onFill);
+    executionEvents.off("modify", onModify);
+    HoldingsModel.off("change", onHoldingChange);
+    PositionsModel.off("change", onPositionChange);
+    gttEvents.off("update", onGttUpdate);
+    squareOffEvents.off("summary", onSquareOffSummary);
+};
+
+module.exports = {
+    userEventEmitter,
+    publishUserEvent,
+    pushTransientEvent,
+    getEventsSince,
+    startUserEvents,
+    stopUserEvents
+};
@@ -0,0 +1,19 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { calculateCharges } = require("../services/charges");
+
+const fill = { product: "MIS", exchange: "NSE", transactionType: "BUY", quantity: 1000, price: 100 };
+
+test("brokerage on a single fill is capped", () => {
+    assert.strictEqual(calculateCharges(fill).brokerage, 20);
+});
+
+test("later fills of an order only pay what is left of the brokerage cap", () => {
+    const first = calculateCharges({ ...fill, quantity: 500 });
+    const second = calculateCharges({ ...fill, quantity: 500, brokerageCharged: first.brokerage });
+    const third = calculateCharges({ ...fill, quantity: 500, brokerageCharged: first.brokerage + second.brokerage });
+
+    assert.strictEqual(first.brokerage, 15);
+    assert.strictEqual(second.brokerage, 5);
+    assert.strictEqual(third.brokerage, 0);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const instruments = require("../services/instruments");
+
+const TICK_SIZES = { "BSE:SENSEX": 0.01, "NSE:INFY": 0.05 };
+instruments.findInstrument = (symbol, exchange) => {
+    const tickSize = TICK_SIZES[`${exchange}:${symbol}`];
+    return tickSize ? { symbol, exchange, tickSize } : null;
+};
+
+const marketData = require("../services/marketData");
+const { createSimulatorFeed } = require("../services/marketFeed");
+
+const isOnTick = (price, tickSize) => Math.abs(price / tickSize - Math.round(price / tickSize)) < 1e-6;
+
+test("simulated prices land on each instrument's own tick size", () => {
+    const feed = createSimulatorFeed({ prices: { SENSEX: 81234.56, INFY: 1500 }, volatility: 0.01 });
+    const sensexPrices = [];
+
+    for (let i = 0; i < 50; i++) {
+        feed.step();
+        const sensex = marketData.getQuote("SENSEX");
+        const infy = marketData.getQuote("INFY");
+
+        sensexPrices.push(sensex.ltp);
+        [sensex.ltp, sensex.bidPrice, sensex.askPrice].forEach((price) => assert.ok(isOnTick(price, 0.01)));
+        [infy.ltp, infy.bidPrice, infy.askPrice].forEach((price) => assert.ok(isOnTick(price, 0.05), `${price}`));
+    }
+    // SENSEX is not forced onto the 0.05 grid
+    assert.ok(sensexPrices.some((price) => !isOnTick(price, 0.05)));
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Types } = require("mongoose");
+const { HoldingsModel } = require("../models/HoldingsModel");
+const { PositionsModel } = require("../models/PositionsModel");
+const { holdingsMetrics, positionsMetrics } = require("../services/portfolioMetrics");
+
+const userId = new Types.ObjectId();
+
+test("holdings metrics report a numeric net P&L after charges", () => {
+    const holding = new HoldingsModel({
+        userId,
+        symbol: "INFY",
+        exchange: "NSE",
+        quantity: 10,
+        averageBuyPrice: 100,
+        investedAmount: 1000,
+        charges: 12.5
+    });
+    holding.updateMarketPrice(110);
+
+    const metrics = holdingsMetrics([holding]);
+    assert.strictEqual(metrics.totalInvestment, "1000.00");
+    assert.strictEqual(metrics.currentValue, "1100.00");
+    assert.strictEqual(metrics.totalPnL, "100.00");
+    assert.strictEqual(metrics.totalPnLPercentage, "10.00");
+    assert.strictEqual(metrics.netPnL, "87.50");
+});
+
+test("positions metrics include realized P&L and charges in net P&L", () => {
+    const position = new PositionsModel({
+        userId,
+        symbol: "TCS",
+        exchange: "NSE",
+        product: "MIS",
+        quantity: 5,
+        averagePrice: 200,
+        lastTradedPrice: 200,
+        buyQuantity: 10,
+        buyValue: 2000,
+        buyAveragePrice: 200,
+        sellQuantity: 5,
+        sellValue: 1050,
+        sellAveragePrice: 210,
+        realizedProfitLoss: 50,
+        charges: 8
+    });
+    position.updateMarketPrice(204);
+
+    const metrics = positionsMetrics([position]);
+    assert.strictEqual(metrics.totalInvestment, "1000.00");
+    assert.strictEqual(metrics.currentValue, "1020.00");
+    assert.strictEqual(metrics.totalPnL, "70.00");
+    assert.strictEqual(metrics.totalCharges, "8.00");
+    assert.strictEqual(metrics.netPnL, "62.00");
+});
+
+test("metrics of an empty portfolio are zero rather than NaN", () => {
+    assert.strictEqual(holdingsMetrics([]).totalPnLPercentage, "0.00");
+    assert.strictEqual(positionsMetrics([]).netPnL, "0.00");
+});
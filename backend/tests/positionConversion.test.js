@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Types } = require("mongoose");
+const { HoldingsModel } = require("../models/HoldingsModel");
+const { PositionsModel } = require("../models/PositionsModel");
+const { OrdersModel } = require("../models/OrdersModel");
+const { FundsModel } = require("../models/FundsModel");
+const instruments = require("../services/instruments");
+const marketData = require("../services/marketData");
+const { toIST } = require("../services/marketCalendar");
+
+const userId = new Types.ObjectId();
+const today = toIST(new Date()).dateKey;
+
+// In-memory stand-ins for the collections a conversion reads and writes
+let holding = null;
+let positions = [];
+let openSells = [];
+
+instruments.findInstrument = () => ({ lotSize: 1, tickSize: 0.05 });
+marketData.getLTP = () => 105;
+HoldingsModel.findOne = async () => holding;
+HoldingsModel.find = () => ({ select: async () => (holding ? [holding] : []) });
+HoldingsModel.prototype.save = async function() {
+    return this;
+};
+HoldingsModel.prototype.deleteOne = async function() {
+    holding = null;
+};
+PositionsModel.find = async () => positions;
+PositionsModel.findOne = async ({ product }) => positions.find((position) => position.product === product) || null;
+PositionsModel.prototype.save = async function() {
+    if (!positions.includes(this)) positions.push(this);
+    return this;
+};
+OrdersModel.find = () => ({ select: async () => openSells });
+FundsModel.findOne = async () => ({ userId, balance: 100000, blockedMargin: 0 });
+
+const { convertHolding } = require("../services/positionConversion");
+
+// 10 settled shares, 3 bought on an earlier day and 5 bought today
+const buildHolding = ({ settled = 10, earlier = 3, bought = 5 } = {}) => new HoldingsModel({
+    userId,
+    symbol: "INFY",
+    exchange: "NSE",
+    quantity: settled,
+    averageBuyPrice: 100,
+    investedAmount: settled * 100,
+    lastTradedPrice: 100,
+    charges: 18,
+    t1Quantity: earlier + bought,
+    unsettledBuys: [
+        ...(earlier ? [{ quantity: earlier, tradeDate: "2000-01-03", settlesOn: "2000-01-04" }] : []),
+        ...(bought ? [{ quantity: bought, tradeDate: today, settlesOn: "2999-01-01" }] : [])
+    ]
+});
+
+test.beforeEach(() => {
+    holding = buildHolding();
+    positions = [];
+    openSells = [];
+});
+
+test("today's delivery buy converts to a carry-forward position out of the unsettled quantity", async () => {
+    const result = await convertHolding(userId, { symbol: "INFY", quantity: 4, toProduct: "NRML" });
+
+    assert.ok(!result.error, result.error && result.error.message);
+    assert.strictEqual(result.to.product, "NRML");
+    assert.strictEqual(result.to.buyQuantity, 4);
+    assert.strictEqual(result.to.buyAveragePrice, 100);
+    assert.strictEqual(result.to.netQuantity, 4);
+    assert.strictEqual(result.to.charges, 4);
+
+    // Settled shares and earlier buys are untouched; today's buy is reduced
+    assert.strictEqual(result.holding.quantity, 10);
+    assert.strictEqual(result.holding.t1Quantity, 4);
+    assert.deepStrictEqual(result.holding.unsettledBuys.map((buy) => [buy.tradeDate, buy.quantity]), [
+        ["2000-01-03", 3],
+        [today, 1]
+    ]);
+    assert.strictEqual(result.holding.investedAmount, 1000);
+    assert.strictEqual(result.holding.charges, 14);
+});
+
+test("only quantity bought today can be converted", async () => {
+    const result = await convertHolding(userId, { symbol: "INFY", quantity: 6, toProduct: "NRML" });
+    assert.strictEqual(result.error.message, "Only 5 of INFY bought today can be converted");
+
+    holding = buildHolding({ bought: 0 });
+    const nothing = await convertHolding(userId, { symbol: "INFY", toProduct: "NRML" });
+    assert.strictEqual(nothing.error.error, "Nothing to convert");
+    assert.strictEqual(positions.length, 0);
+});
+
+test("shares reserved for an open sell order stay in holdings", async () => {
+    holding = buildHolding({ settled: 0, earlier: 0 });
+    openSells = [{ remainingQuantity: 2 }];
+
+    const result = await convertHolding(userId, { symbol: "INFY", quantity: 4, toProduct: "NRML" });
+    assert.strictEqual(result.error.message, "Only 3 of INFY can be moved out of holdings");
+});
+
+test("converting all of a holding bought today removes it", async () => {
+    holding = buildHolding({ settled: 0, earlier: 0 });
+
+    const result = await convertHolding(userId, { symbol: "INFY", toProduct: "NRML" });
+    assert.strictEqual(result.holding, null);
+    assert.strictEqual(holding, null);
+    assert.strictEqual(result.to.netQuantity, 5);
+    assert.strictEqual(result.to.charges, 18);
+});
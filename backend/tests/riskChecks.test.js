@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Types } = require("mongoose");
+const { PositionsModel } = require("../models/PositionsModel");
+const { OrdersModel } = require("../models/OrdersModel");
+const { LedgerEntryModel } = require("../models/LedgerEntryModel");
+const { FundsModel } = require("../models/FundsModel");
+const { PositionHistoryModel } = require("../models/PositionHistoryModel");
+const marketData = require("../services/marketData");
+const { executionEvents } = require("../services/orderExecution");
+const { settleFill } = require("../services/portfolioSettlement");
+const { startFunds, stopFunds } = require("../services/funds");
+const { loadRiskLimits, getDayRealizedProfitLoss, checkRisk } = require("../services/riskChecks");
+
+const userId = new Types.ObjectId();
+
+// In-memory stand-ins for the collections the checks read and write
+let positions = [];
+let openOrders = [];
+let ledger = [];
+
+marketData.getLTP = () => null;
+PositionsModel.find = async () => positions;
+PositionsModel.findOne = async ({ product }) => positions.find((position) => position.product === product) || null;
+PositionsModel.prototype.save = async function() {
+    if (!positions.includes(this)) positions.push(this);
+    return this;
+};
+PositionHistoryModel.create = async (trip) => trip;
+OrdersModel.find = () => ({ select: async () => openOrders });
+OrdersModel.findById = async () => null;
+LedgerEntryModel.create = async (entry) => {
+    ledger.push({ ...entry, createdAt: new Date() });
+    return entry;
+};
+LedgerEntryModel.find = ({ type }) => ({
+    select: async () => ledger.filter((entry) => type.$in.includes(entry.type))
+});
+FundsModel.findOne = async () => ({ userId, balance: 100000, blockedMargin: 0, save: async () => {} });
+
+const order = (transactionType, quantity, extra = {}) => new OrdersModel({
+    userId,
+    symbol: "INFY",
+    exchange: "NSE",
+    quantity,
+    price: 100,
+    transactionType,
+    orderType: "LIMIT",
+    product: "MIS",
+    ...extra
+});
+
+const settle = async (transactionType, quantity, price) => {
+    const filled = order(transactionType, quantity);
+    const settlement = await settleFill(filled, quantity, price);
+    executionEvents.emit("fill", { order: filled, quantity, price, ...settlement });
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+test.beforeEach(() => {
+    positions = [];
+    openOrders = [];
+    ledger = [];
+    loadRiskLimits();
+});
+
+// The daily loss limit reads the ledger rather than positions, because positions
+// are re-saved by mark-to-market and rolled over at end of day; the ledger holds
+// exactly the realized P&L and charges each of today's fills booked on them
+test("day realized P&L from the ledger agrees with the positions' realized P&L after charges", async () => {
+    startFunds();
+    try {
+        await settle("BUY", 10, 100);
+        await settle("SELL", 4, 110);
+        await settle("SELL", 6, 95);
+        await flush();
+    } finally {
+        stopFunds();
+    }
+
+    const [position] = positions;
+    const fromPositions = position.realizedProfitLoss - position.charges;
+    const fromLedger = await getDayRealizedProfitLoss(userId);
+    assert.strictEqual(position.realizedProfitLoss, 10);
+    assert.ok(Math.abs(fromLedger - fromPositions) < 0.02, `ledger ${fromLedger} vs positions ${fromPositions}`);
+});
+
+test("the per-symbol quantity limit counts open positions and working orders", async () => {
+    positions = [Object.assign(new PositionsModel({ userId, symbol: "MARUTI", exchange: "NSE", product: "MIS" }), {
+        buyQuantity: 6000
+    })];
+    openOrders = [{ transactionType: "BUY", remainingQuantity: 3000 }];
+
+    const adding = await checkRisk(order("BUY", 2000, { symbol: "MARUTI", price: 1 }));
+    assert.match(adding, /open quantity in MARUTI to 11000, above the maximum of 10000/);
+
+    const reducing = await checkRisk(order("SELL", 2000, { symbol: "MARUTI", price: 1 }));
+    assert.strictEqual(reducing, null);
+});